@@ -0,0 +1,569 @@
+// imageEncoder.js
+// Encodes RGBA pixels as PNG images, and frames as animated PNG (APNG) or GIF images, for image output without
+// a browser canvas (e.g. tdf-figlet --png in CI jobs). Uses only standard JavaScript (typed arrays), so it runs in
+// browsers as well as in Node.js. PNG compression is a small DEFLATE encoder (LZ77 with fixed Huffman codes), which
+// suits the large flat areas of rendered text.
+
+// --- PNG Constants ---
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const PNG_COLOR_TYPE_RGBA = 6; // Truecolor with alpha.
+const PNG_BIT_DEPTH = 8; // Bits per color component.
+const PNG_FILTER_NONE = 0;
+const PNG_FILTER_SUB = 1; // Difference to the pixel on the left.
+const PNG_FILTER_UP = 2; // Difference to the pixel above.
+const BYTES_PER_PIXEL = 4;
+
+// --- DEFLATE Constants (RFC 1951) ---
+const WINDOW_SIZE = 32768; // Largest distance a match may refer back.
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const HASH_SIZE = 1 << 15; // Number of hash chains, keyed by the next three bytes.
+const MAX_CHAIN_LENGTH = 32; // Candidates tried per position; more finds longer matches but takes longer.
+const END_OF_BLOCK = 256;
+// Base values and extra bit counts of length codes 257-285 and distance codes 0-29.
+const LENGTH_BASES = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258,
+];
+const LENGTH_EXTRA_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASES = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145,
+  8193, 12289, 16385, 24577,
+];
+const DISTANCE_EXTRA_BITS = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+
+// --- Checksums ---
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC-32 of PNG chunks.
+ * @param {Uint8Array} bytes - The bytes to checksum.
+ * @returns {number} The CRC as an unsigned 32-bit integer.
+ */
+function _crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Computes the Adler-32 checksum of zlib streams.
+ * @param {Uint8Array} bytes - The bytes to checksum.
+ * @returns {number} The checksum as an unsigned 32-bit integer.
+ */
+function _adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+// --- DEFLATE Encoding ---
+
+/**
+ * Creates a writer of DEFLATE's bit stream, which packs values starting at the least significant bit of each byte.
+ * @param {number} initialSize - Initial capacity in bytes; the buffer grows as needed.
+ * @returns {{writeBits: function(number, number): void, writeHuffmanCode: function(number, number): void,
+ * finish: function(): Uint8Array}} The writer.
+ */
+function _createBitWriter(initialSize) {
+  let bytes = new Uint8Array(Math.max(1024, initialSize));
+  let length = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const pushByte = (byte) => {
+    if (length === bytes.length) {
+      const grown = new Uint8Array(bytes.length * 2);
+      grown.set(bytes);
+      bytes = grown;
+    }
+    bytes[length++] = byte;
+  };
+  const writeBits = (value, count) => {
+    bitBuffer |= value << bitCount;
+    bitCount += count;
+    while (bitCount >= 8) {
+      pushByte(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+  return {
+    writeBits,
+    // Huffman codes are stored starting with their most significant bit.
+    writeHuffmanCode(code, count) {
+      let reversed = 0;
+      for (let i = 0; i < count; i++) {
+        reversed = (reversed << 1) | ((code >> i) & 1);
+      }
+      writeBits(reversed, count);
+    },
+    finish() {
+      if (bitCount > 0) pushByte(bitBuffer & 0xff);
+      return bytes.subarray(0, length);
+    },
+  };
+}
+
+/**
+ * Writes a literal/length symbol with the fixed Huffman code of RFC 1951, section 3.2.6.
+ * @param {ReturnType<typeof _createBitWriter>} writer - The bit writer.
+ * @param {number} symbol - The symbol (0-287).
+ */
+function _writeFixedLiteralLength(writer, symbol) {
+  if (symbol < 144) writer.writeHuffmanCode(0x30 + symbol, 8);
+  else if (symbol < 256) writer.writeHuffmanCode(0x190 + symbol - 144, 9);
+  else if (symbol < 280) writer.writeHuffmanCode(symbol - 256, 7);
+  else writer.writeHuffmanCode(0xc0 + symbol - 280, 8);
+}
+
+/**
+ * Writes a match: its length and distance codes (fixed Huffman) with their extra bits.
+ * @param {ReturnType<typeof _createBitWriter>} writer - The bit writer.
+ * @param {number} length - Match length (3-258).
+ * @param {number} distance - Match distance (1-32768).
+ */
+function _writeMatch(writer, length, distance) {
+  let lengthCode = LENGTH_BASES.length - 1;
+  while (LENGTH_BASES[lengthCode] > length) lengthCode--;
+  _writeFixedLiteralLength(writer, 257 + lengthCode);
+  writer.writeBits(length - LENGTH_BASES[lengthCode], LENGTH_EXTRA_BITS[lengthCode]);
+
+  let distanceCode = DISTANCE_BASES.length - 1;
+  while (DISTANCE_BASES[distanceCode] > distance) distanceCode--;
+  writer.writeHuffmanCode(distanceCode, 5);
+  writer.writeBits(distance - DISTANCE_BASES[distanceCode], DISTANCE_EXTRA_BITS[distanceCode]);
+}
+
+/**
+ * Compresses bytes into a raw DEFLATE stream: a single block with fixed Huffman codes, with matches found
+ * greedily through hash chains.
+ * @param {Uint8Array} data - The bytes to compress.
+ * @returns {Uint8Array} The compressed stream.
+ */
+function _deflateRaw(data) {
+  const writer = _createBitWriter(data.length >> 2);
+  writer.writeBits(1, 1); // BFINAL: this is the last block.
+  writer.writeBits(1, 2); // BTYPE 01: fixed Huffman codes.
+
+  const head = new Int32Array(HASH_SIZE).fill(-1); // Most recent position of each hash.
+  const previous = new Int32Array(WINDOW_SIZE); // Earlier position with the same hash, by position in the window.
+  const hashAt = (position) =>
+    ((data[position] << 10) ^ (data[position + 1] << 5) ^ data[position + 2]) & (HASH_SIZE - 1);
+  const insert = (position) => {
+    if (position + MIN_MATCH > data.length) return;
+    const hash = hashAt(position);
+    previous[position & (WINDOW_SIZE - 1)] = head[hash];
+    head[hash] = position;
+  };
+
+  let position = 0;
+  while (position < data.length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+    if (position + MIN_MATCH <= data.length) {
+      const maxLength = Math.min(MAX_MATCH, data.length - position);
+      let candidate = head[hashAt(position)];
+      for (let chain = 0; chain < MAX_CHAIN_LENGTH && candidate >= 0; chain++) {
+        if (position - candidate > WINDOW_SIZE) break;
+        let length = 0;
+        while (length < maxLength && data[candidate + length] === data[position + length]) length++;
+        if (length > bestLength) {
+          bestLength = length;
+          bestDistance = position - candidate;
+          if (length === maxLength) break;
+        }
+        candidate = previous[candidate & (WINDOW_SIZE - 1)];
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      _writeMatch(writer, bestLength, bestDistance);
+      for (let i = 0; i < bestLength; i++) insert(position + i);
+      position += bestLength;
+    } else {
+      _writeFixedLiteralLength(writer, data[position]);
+      insert(position);
+      position++;
+    }
+  }
+  _writeFixedLiteralLength(writer, END_OF_BLOCK);
+  return writer.finish();
+}
+
+/**
+ * Compresses bytes into a zlib stream (RFC 1950), as used by PNG's IDAT chunks.
+ * @param {Uint8Array} data - The bytes to compress.
+ * @returns {Uint8Array} The zlib stream.
+ */
+function _zlibCompress(data) {
+  const deflated = _deflateRaw(data);
+  const stream = new Uint8Array(2 + deflated.length + 4);
+  stream[0] = 0x78; // CMF: DEFLATE with a 32K window.
+  stream[1] = 0x01; // FLG: no preset dictionary, check bits making CMF * 256 + FLG a multiple of 31.
+  stream.set(deflated, 2);
+  new DataView(stream.buffer).setUint32(stream.length - 4, _adler32(data));
+  return stream;
+}
+
+// --- PNG Encoding ---
+
+/**
+ * Filters the image's rows for compression, choosing per row the filter (None, Sub or Up) with the smallest sum
+ * of absolute differences, the usual PNG heuristic.
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @param {Uint8Array | Uint8ClampedArray} pixels - RGBA pixels, row by row.
+ * @returns {Uint8Array} The rows, each preceded by its filter type byte.
+ */
+function _filterScanlines(width, height, pixels) {
+  const stride = width * BYTES_PER_PIXEL;
+  const filtered = new Uint8Array(height * (stride + 1));
+  const candidates = [PNG_FILTER_NONE, PNG_FILTER_SUB, PNG_FILTER_UP].map(() => new Uint8Array(stride));
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * stride;
+    let bestFilter = PNG_FILTER_NONE;
+    let bestScore = Number.POSITIVE_INFINITY;
+    candidates.forEach((line, filter) => {
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const value = pixels[rowStart + i];
+        const left = i >= BYTES_PER_PIXEL ? pixels[rowStart + i - BYTES_PER_PIXEL] : 0;
+        const up = y > 0 ? pixels[rowStart - stride + i] : 0;
+        const byte = (value - (filter === PNG_FILTER_SUB ? left : filter === PNG_FILTER_UP ? up : 0)) & 0xff;
+        line[i] = byte;
+        score += byte < 128 ? byte : 256 - byte;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestFilter = filter;
+      }
+    });
+    const outputStart = y * (stride + 1);
+    filtered[outputStart] = bestFilter;
+    filtered.set(candidates[bestFilter], outputStart + 1);
+  }
+  return filtered;
+}
+
+/**
+ * Builds a PNG chunk: length, type, data and CRC.
+ * @param {string} type - Four-letter chunk type, e.g. "IHDR".
+ * @param {Uint8Array} data - Chunk data.
+ * @returns {Uint8Array} The chunk.
+ */
+function _pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, _crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Concatenates byte arrays.
+ * @param {Uint8Array[]} parts - The arrays, in order.
+ * @returns {Uint8Array} All bytes in one array.
+ */
+function _concatBytes(parts) {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+/**
+ * Checks an image size and its pixel data.
+ * @param {string} apiName - Name of the calling function, used as the prefix of error messages.
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @param {Array<Uint8Array | Uint8ClampedArray>} pixelArrays - RGBA pixels of each image or frame.
+ * @throws {Error} If the size is not positive or does not match the pixel data.
+ */
+function _validateImage(apiName, width, height, pixelArrays) {
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error(`${apiName}: Image size must be positive integers, got ${width}x${height}.`);
+  }
+  if (pixelArrays.some((pixels) => !pixels || pixels.length !== width * height * BYTES_PER_PIXEL)) {
+    throw new Error(`${apiName}: Expected ${width * height * BYTES_PER_PIXEL} bytes of RGBA pixels.`);
+  }
+}
+
+/**
+ * Builds the IHDR chunk of an 8-bit RGBA image.
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @returns {Uint8Array} The chunk.
+ */
+function _pngHeaderChunk(width, height) {
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = PNG_BIT_DEPTH;
+  header[9] = PNG_COLOR_TYPE_RGBA;
+  // Bytes 10-12 (compression, filter and interlace methods) stay 0.
+  return _pngChunk("IHDR", header);
+}
+
+/**
+ * Encodes RGBA pixels as a PNG image (8 bits per component, with alpha).
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @param {Uint8Array | Uint8ClampedArray} pixels - `width * height` RGBA pixels, row by row from the top left,
+ * e.g. the `data` of an ImageData.
+ * @returns {Uint8Array} The PNG file's bytes.
+ * @throws {Error} If the size is not positive or does not match the pixel data.
+ */
+export function encodePng(width, height, pixels) {
+  _validateImage("encodePng", width, height, [pixels]);
+  return _concatBytes([
+    Uint8Array.from(PNG_SIGNATURE),
+    _pngHeaderChunk(width, height),
+    _pngChunk("IDAT", _zlibCompress(_filterScanlines(width, height, pixels))),
+    _pngChunk("IEND", new Uint8Array(0)),
+  ]);
+}
+
+/**
+ * A frame of an animation.
+ * @typedef {object} AnimationFrame
+ * @property {Uint8Array | Uint8ClampedArray} pixels - The frame's RGBA pixels, full size, row by row.
+ * @property {number} delayMs - How long the frame is shown, in milliseconds.
+ */
+
+/**
+ * Encodes frames as an animated PNG (APNG). Viewers without APNG support show the first frame.
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @param {AnimationFrame[]} frames - The frames, in order.
+ * @param {object} [options] - Encoding options.
+ * @param {boolean} [options.loop=true] - If true, the animation repeats forever; otherwise it plays once.
+ * @returns {Uint8Array} The APNG file's bytes.
+ * @throws {Error} If there are no frames, or the size does not match the pixel data.
+ */
+export function encodeApng(width, height, frames, options = {}) {
+  if (!Array.isArray(frames) || frames.length === 0) {
+    throw new Error("encodeApng: At least one frame is required.");
+  }
+  _validateImage(
+    "encodeApng",
+    width,
+    height,
+    frames.map((frame) => frame.pixels),
+  );
+
+  const animationControl = new Uint8Array(8);
+  const animationControlView = new DataView(animationControl.buffer);
+  animationControlView.setUint32(0, frames.length);
+  animationControlView.setUint32(4, options.loop === false ? 1 : 0); // Number of plays; 0 repeats forever.
+
+  const chunks = [Uint8Array.from(PNG_SIGNATURE), _pngHeaderChunk(width, height), _pngChunk("acTL", animationControl)];
+  let sequenceNumber = 0; // Shared by the fcTL and fdAT chunks.
+  frames.forEach((frame, index) => {
+    const frameControl = new Uint8Array(26);
+    const frameControlView = new DataView(frameControl.buffer);
+    frameControlView.setUint32(0, sequenceNumber++);
+    frameControlView.setUint32(4, width);
+    frameControlView.setUint32(8, height);
+    // Bytes 12-19 (x and y offset) stay 0: every frame covers the whole image.
+    frameControlView.setUint16(20, Math.min(0xffff, Math.max(0, Math.round(frame.delayMs))));
+    frameControlView.setUint16(22, 1000); // Delay denominator: milliseconds.
+    // Bytes 24-25 (dispose and blend operations) stay 0: frames replace each other.
+    chunks.push(_pngChunk("fcTL", frameControl));
+
+    const imageData = _zlibCompress(_filterScanlines(width, height, frame.pixels));
+    if (index === 0) {
+      chunks.push(_pngChunk("IDAT", imageData)); // The first frame doubles as the still image.
+    } else {
+      const frameData = new Uint8Array(4 + imageData.length);
+      new DataView(frameData.buffer).setUint32(0, sequenceNumber++);
+      frameData.set(imageData, 4);
+      chunks.push(_pngChunk("fdAT", frameData));
+    }
+  });
+  chunks.push(_pngChunk("IEND", new Uint8Array(0)));
+  return _concatBytes(chunks);
+}
+
+// --- GIF Encoding ---
+
+const GIF_MAX_COLORS = 256;
+const GIF_MAX_CODE = 4095; // LZW codes are at most 12 bits.
+const GIF_SUB_BLOCK_SIZE = 255;
+
+/**
+ * Builds the color table of a GIF from the colors of all frames. Fully transparent pixels share one table entry,
+ * marked as transparent; other pixels are treated as opaque.
+ * @param {AnimationFrame[]} frames - The frames.
+ * @returns {{colors: number[], indexOf: Map<number, number>, transparentIndex: number}} The colors as 0xRRGGBB,
+ * the table index of each color, and the index of the transparent entry (-1 if no pixel is transparent).
+ * @throws {Error} If the frames use more than 256 colors.
+ */
+function _buildGifColorTable(frames) {
+  const colors = [];
+  const indexOf = new Map();
+  let transparentIndex = -1;
+  for (const { pixels } of frames) {
+    for (let i = 0; i < pixels.length; i += BYTES_PER_PIXEL) {
+      if (pixels[i + 3] === 0) {
+        if (transparentIndex < 0) transparentIndex = colors.push(0) - 1;
+        continue;
+      }
+      const color = (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+      if (!indexOf.has(color)) {
+        if (colors.length === GIF_MAX_COLORS) {
+          throw new Error(`encodeGif: The frames use more than ${GIF_MAX_COLORS} colors.`);
+        }
+        indexOf.set(color, colors.push(color) - 1);
+      }
+    }
+  }
+  return { colors, indexOf, transparentIndex };
+}
+
+/**
+ * Compresses color indices with GIF's variable-length LZW, and splits the result into data sub-blocks.
+ * @param {Uint8Array} indices - Color table indices of the pixels.
+ * @param {number} minCodeSize - LZW minimum code size (2-8).
+ * @returns {Uint8Array} The image data: minimum code size, sub-blocks and block terminator.
+ */
+function _gifImageData(indices, minCodeSize) {
+  const writer = _createBitWriter(indices.length >> 1);
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let codeTable = new Map(); // Maps (prefix code << 8 | index) to the code of that sequence.
+
+  writer.writeBits(clearCode, codeSize);
+  let prefixCode = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefixCode << 8) | index;
+    const code = codeTable.get(key);
+    if (typeof code !== "undefined") {
+      prefixCode = code;
+      continue;
+    }
+    writer.writeBits(prefixCode, codeSize);
+    if (nextCode > GIF_MAX_CODE) {
+      // The table is full: start over.
+      writer.writeBits(clearCode, codeSize);
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      codeTable = new Map();
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      codeTable.set(key, nextCode++);
+    }
+    prefixCode = index;
+  }
+  writer.writeBits(prefixCode, codeSize);
+  writer.writeBits(endCode, codeSize);
+
+  const compressed = writer.finish();
+  const blocks = [Uint8Array.of(minCodeSize)];
+  for (let offset = 0; offset < compressed.length; offset += GIF_SUB_BLOCK_SIZE) {
+    const block = compressed.subarray(offset, offset + GIF_SUB_BLOCK_SIZE);
+    blocks.push(Uint8Array.of(block.length), block);
+  }
+  blocks.push(Uint8Array.of(0)); // Block terminator.
+  return _concatBytes(blocks);
+}
+
+/**
+ * Encodes frames as an animated GIF with one global color table. GIF has no partial transparency: fully
+ * transparent pixels stay transparent, all others are shown opaque.
+ * @param {number} width - Image width in pixels (at most 65535).
+ * @param {number} height - Image height in pixels (at most 65535).
+ * @param {AnimationFrame[]} frames - The frames, in order. GIF delays are in hundredths of a second, so delays are
+ * rounded to 10 ms.
+ * @param {object} [options] - Encoding options.
+ * @param {boolean} [options.loop=true] - If true, the animation repeats forever; otherwise it plays once.
+ * @returns {Uint8Array} The GIF file's bytes.
+ * @throws {Error} If there are no frames, the size is invalid, or the frames use more than 256 colors.
+ */
+export function encodeGif(width, height, frames, options = {}) {
+  if (!Array.isArray(frames) || frames.length === 0) {
+    throw new Error("encodeGif: At least one frame is required.");
+  }
+  _validateImage(
+    "encodeGif",
+    width,
+    height,
+    frames.map((frame) => frame.pixels),
+  );
+  if (width > 0xffff || height > 0xffff) {
+    throw new Error(`encodeGif: Image size must be at most 65535x65535, got ${width}x${height}.`);
+  }
+
+  const { colors, indexOf, transparentIndex } = _buildGifColorTable(frames);
+  const tableBits = Math.max(1, Math.ceil(Math.log2(colors.length)));
+  const colorTable = new Uint8Array(3 << tableBits);
+  colors.forEach((color, index) => colorTable.set([color >> 16, (color >> 8) & 0xff, color & 0xff], index * 3));
+
+  const screenDescriptor = new Uint8Array(7);
+  const screenView = new DataView(screenDescriptor.buffer);
+  screenView.setUint16(0, width, true);
+  screenView.setUint16(2, height, true);
+  screenDescriptor[4] = 0x80 | ((tableBits - 1) << 4) | (tableBits - 1); // Global color table and its size.
+
+  const parts = [new TextEncoder().encode("GIF89a"), screenDescriptor, colorTable];
+  if (options.loop !== false) {
+    // NETSCAPE2.0 application extension: repeat forever.
+    parts.push(Uint8Array.of(0x21, 0xff, 0x0b), new TextEncoder().encode("NETSCAPE2.0"), Uint8Array.of(3, 1, 0, 0, 0));
+  }
+
+  const minCodeSize = Math.max(2, tableBits);
+  for (const frame of frames) {
+    const delay = Math.min(0xffff, Math.max(0, Math.round(frame.delayMs / 10)));
+    // Graphic control extension. With transparency, each frame clears to the background before the next one is
+    // drawn (disposal 2), so that earlier frames do not show through.
+    const packedFields = transparentIndex >= 0 ? (2 << 2) | 1 : 1 << 2;
+    parts.push(Uint8Array.of(0x21, 0xf9, 4, packedFields, delay & 0xff, delay >> 8, Math.max(0, transparentIndex), 0));
+
+    const imageDescriptor = new Uint8Array(10);
+    const descriptorView = new DataView(imageDescriptor.buffer);
+    imageDescriptor[0] = 0x2c;
+    descriptorView.setUint16(5, width, true);
+    descriptorView.setUint16(7, height, true);
+    // Left and top position, and the packed fields (no local color table, not interlaced), stay 0.
+
+    const { pixels } = frame;
+    const indices = new Uint8Array(width * height);
+    for (let i = 0; i < indices.length; i++) {
+      const offset = i * BYTES_PER_PIXEL;
+      indices[i] =
+        pixels[offset + 3] === 0
+          ? transparentIndex
+          : indexOf.get((pixels[offset] << 16) | (pixels[offset + 1] << 8) | pixels[offset + 2]);
+    }
+    parts.push(imageDescriptor, _gifImageData(indices, minCodeSize));
+  }
+  parts.push(Uint8Array.of(0x3b)); // Trailer.
+  return _concatBytes(parts);
+}
@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+// tdfFiglet.js
+// Command-line TheDraw Font (.TDF) renderer, in the spirit of figlet.
+// Renders text with a font from a binary font bundle (tdf-fonts.bin) or from raw .TDF files,
+// and prints it to stdout as Unicode text (plain, or colored with ANSI SGR escape sequences), or saves it as an
+// ANSI art file, a PNG image, or an animated GIF or APNG image.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { assembleBundle, processTdfFile } from "./tdfParser.js";
+import "./cp437font.js"; // Must load before tdfRenderer.js, which reads globalThis.cp437font.
+import { tdfRenderer } from "./tdfRenderer.js";
+
+const DEFAULT_BUNDLE_PATH = "tdf-fonts.bin";
+
+const USAGE = `Usage: tdf-figlet [options] [text...]
+
+Renders text with a TheDraw font and prints it as ANSI-colored text.
+If no text is given, it is read from standard input.
+
+Options:
+  -b, --bundle <file>         Font bundle created by tdfPacker.js (default: ${DEFAULT_BUNDLE_PATH},
+                              unless --tdf is given). May be repeated: fonts of the second and
+                              later bundles are keyed "<bundle file name>/<font key>"
+  -t, --tdf <file|dir>        Load fonts from a .TDF file, or all .TDF files in a directory
+                              (may be repeated). Keyed "tdf/<font key>" if a bundle is also given
+  -f, --font <name>           Font key, or font name if it is unique (default: first font)
+  -l, --list                  List available fonts and their types, then exit
+  -a, --align <alignment>     Text alignment: left, center or right (default: left)
+  -m, --min-space <cells>     Minimum width of a space for fonts without a space glyph (default: 3)
+  -k, --kerning <mode>        Glyph spacing: none (the font's spacing), fitted (no spacing) or
+                              smush (glyphs slid together until they touch) (default: none)
+      --letter-spacing <n>    Cells between glyphs instead of the font's spacing (negative values
+                              overlap glyphs, but never start left of the glyph before), or
+                              adjust:<n> to add n cells to it, e.g. adjust:-1.
+                              Give a negative number with "=", e.g. --letter-spacing=-1
+  -s, --line-spacing <rows>   Empty rows between lines of text (default: 0)
+  -w, --width <cols>          Wrap the text to lines of at most this many columns, 1 or more
+                              (default: no wrapping)
+  -o, --outline-style <n>     Outline style for Outline fonts, 0-18 (default: 0)
+  -c, --attribute <byte>      Color attribute for Block and Outline fonts, e.g. 0x1e (default: 0x07)
+  -g, --gradient <mode>       Recolor the text: horizontal, vertical or rainbow
+      --colors <mode>         Colors of the printed text: none (plain text), ansi16, ansi256 or
+                              truecolor (default: ansi16)
+      --ans <file>            Write an ANSI art file (CP437 with a SAUCE record) instead of printing
+      --png <file>            Write a PNG image instead of printing (file options may be combined)
+      --gif <file>            Write an animated GIF image instead of printing
+      --apng <file>           Write an animated PNG image instead of printing
+      --effect <name>         Animation of --gif and --apng: typewriter, blink or paletteCycle
+                              (default: typewriter)
+      --frame-delay <ms>      How long each animation frame is shown (default depends on --effect)
+      --scale <n>             Size of a font pixel in PNG, GIF and APNG images, 1-16 (default: 1)
+      --title <text>          SAUCE title for --ans (default: the rendered text)
+      --author <name>         SAUCE author for --ans
+      --group <name>          SAUCE group for --ans
+  -h, --help                  Show this help and exit`;
+
+const CLI_OPTIONS = {
+  bundle: { type: "string", short: "b", multiple: true },
+  tdf: { type: "string", short: "t", multiple: true },
+  font: { type: "string", short: "f" },
+  list: { type: "boolean", short: "l" },
+  align: { type: "string", short: "a", default: "left" },
+  "min-space": { type: "string", short: "m" },
+  kerning: { type: "string", short: "k", default: "none" },
+  "letter-spacing": { type: "string" },
+  "line-spacing": { type: "string", short: "s" },
+  width: { type: "string", short: "w" },
+  "outline-style": { type: "string", short: "o" },
+  attribute: { type: "string", short: "c" },
+  gradient: { type: "string", short: "g" },
+  colors: { type: "string", default: "ansi16" },
+  ans: { type: "string" },
+  png: { type: "string" },
+  gif: { type: "string" },
+  apng: { type: "string" },
+  effect: { type: "string", default: "typewriter" },
+  "frame-delay": { type: "string" },
+  scale: { type: "string" },
+  title: { type: "string" },
+  author: { type: "string" },
+  group: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+/**
+ * Parses a non-negative integer command-line value. Accepts decimal and 0x-prefixed hexadecimal.
+ * @param {string | undefined} value - The raw option value.
+ * @param {string} optionName - Option name, used in error messages.
+ * @param {number} [max=Infinity] - Largest accepted value.
+ * @param {number} [min=0] - Smallest accepted value.
+ * @returns {number | undefined} The parsed number, or undefined if the option was not given.
+ * @throws {Error} If the value is not an integer between `min` and `max`.
+ */
+function parseIntegerOption(value, optionName, max = Number.POSITIVE_INFINITY, min = 0) {
+  if (typeof value === "undefined") return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    let range = `an integer from ${min} to ${max}`;
+    if (!Number.isFinite(max)) range = min === 0 ? "a non-negative integer" : `an integer of at least ${min}`;
+    throw new Error(`--${optionName} expects ${range}, got "${value}".`);
+  }
+  return number;
+}
+
+/**
+ * Parses the --letter-spacing value: an integer replaces the font's spacing, "adjust:<integer>" changes it.
+ * @param {string | undefined} value - The raw option value.
+ * @returns {number | {adjust: number} | undefined} The `letterSpacing` render option, or undefined if not given.
+ * @throws {Error} If the value is not in either form.
+ */
+function parseLetterSpacingOption(value) {
+  if (typeof value === "undefined") return undefined;
+  const match = /^(adjust:)?([+-]?\d+)$/.exec(value);
+  if (!match) {
+    throw new Error(`--letter-spacing expects an integer, or "adjust:" and an integer, got "${value}".`);
+  }
+  const cells = Number(match[2]);
+  return match[1] ? { adjust: cells } : cells;
+}
+
+/**
+ * Builds an in-memory font bundle from .TDF files, using the same encoder as tdfPacker.js.
+ * @param {string[]} tdfPaths - Paths of .TDF files, or of directories containing .TDF files.
+ * @returns {Uint8Array} The assembled bundle.
+ * @throws {Error} If no usable fonts are found.
+ */
+function buildBundleFromTdfPaths(tdfPaths) {
+  const processedFonts = [];
+  for (const tdfPath of tdfPaths) {
+    const filePaths = fs.statSync(tdfPath).isDirectory()
+      ? fs
+          .readdirSync(tdfPath)
+          .filter((file) => path.extname(file).toLowerCase() === ".tdf")
+          .map((file) => path.join(tdfPath, file))
+      : [tdfPath];
+    for (const filePath of filePaths) {
+      processedFonts.push(...processTdfFile(fs.readFileSync(filePath), filePath));
+    }
+  }
+  if (processedFonts.length === 0) {
+    throw new Error(`No usable fonts found in ${tdfPaths.join(", ")}.`);
+  }
+  return assembleBundle(processedFonts);
+}
+
+/**
+ * Loads the fonts given by --bundle and --tdf. The first source keeps plain font keys; the fonts of
+ * every other source are namespaced with the source's name.
+ * @param {string[] | undefined} bundlePaths - The --bundle values.
+ * @param {string[] | undefined} tdfPaths - The --tdf values.
+ * @returns {string[]} The available font keys.
+ */
+function loadFontSources(bundlePaths, tdfPaths) {
+  const sources = (bundlePaths || (tdfPaths ? [] : [DEFAULT_BUNDLE_PATH])).map((bundlePath) => ({
+    name: path.basename(bundlePath, path.extname(bundlePath)),
+    load: () => fs.readFileSync(bundlePath),
+  }));
+  if (tdfPaths) {
+    sources.push({ name: "tdf", load: () => buildBundleFromTdfPaths(tdfPaths) });
+  }
+
+  sources.forEach((source, index) => {
+    if (index === 0) {
+      tdfRenderer.loadBundle(source.load());
+    } else {
+      tdfRenderer.addBundle(source.load(), { name: source.name });
+    }
+  });
+  return tdfRenderer.getAvailableFonts();
+}
+
+/**
+ * Resolves the --font argument to a font key. Exact keys win; otherwise the font name
+ * (the part of the key after the bundle name and the file name) is matched case-insensitively.
+ * @param {string[]} fontKeys - Available font keys.
+ * @param {string | undefined} fontArg - The --font value.
+ * @returns {string} The matching font key.
+ * @throws {Error} If no font, or more than one font, matches.
+ */
+function resolveFontKey(fontKeys, fontArg) {
+  if (!fontArg) return fontKeys[0];
+  if (fontKeys.includes(fontArg)) return fontArg;
+
+  const wanted = fontArg.toLowerCase();
+  const matches = fontKeys.filter((key) => {
+    const bundleFontKey = key.substring(key.lastIndexOf("/") + 1);
+    return (
+      key.toLowerCase() === wanted ||
+      bundleFontKey.toLowerCase() === wanted ||
+      bundleFontKey.substring(bundleFontKey.indexOf("_") + 1).toLowerCase() === wanted
+    );
+  });
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) {
+    throw new Error(`Font "${fontArg}" is ambiguous: ${matches.join(", ")}. Use the full font key.`);
+  }
+  throw new Error(`Font "${fontArg}" not found. Use --list to see available fonts.`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({ options: CLI_OPTIONS, allowPositionals: true });
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+
+  const fontKeys = loadFontSources(values.bundle, values.tdf);
+  if (fontKeys.length === 0) {
+    throw new Error("No fonts available.");
+  }
+
+  if (values.list) {
+    for (const { key, type } of tdfRenderer.getAvailableFonts({ includeTypes: true })) {
+      process.stdout.write(`${key}\t${type}\n`);
+    }
+    return;
+  }
+
+  if (!["left", "center", "right"].includes(values.align)) {
+    throw new Error(`--align expects left, center or right, got "${values.align}".`);
+  }
+  if (values.gradient && !["horizontal", "vertical", "rainbow"].includes(values.gradient)) {
+    throw new Error(`--gradient expects horizontal, vertical or rainbow, got "${values.gradient}".`);
+  }
+  if (!["none", "fitted", "smush"].includes(values.kerning)) {
+    throw new Error(`--kerning expects none, fitted or smush, got "${values.kerning}".`);
+  }
+  if (!["none", "ansi16", "ansi256", "truecolor"].includes(values.colors)) {
+    throw new Error(`--colors expects none, ansi16, ansi256 or truecolor, got "${values.colors}".`);
+  }
+  if (!["typewriter", "blink", "paletteCycle"].includes(values.effect)) {
+    throw new Error(`--effect expects typewriter, blink or paletteCycle, got "${values.effect}".`);
+  }
+
+  let text = positionals.join(" ");
+  if (!text) {
+    text = fs.readFileSync(process.stdin.fd, "utf8").replace(/\r\n/g, "\n").replace(/\n$/, "");
+  }
+
+  const renderOptions = {
+    uniqueFontKey: resolveFontKey(fontKeys, values.font),
+    text,
+    textAlign: values.align,
+    minSpaceWidth: parseIntegerOption(values["min-space"], "min-space"),
+    kerning: values.kerning,
+    letterSpacing: parseLetterSpacingOption(values["letter-spacing"]),
+    lineSpacing: parseIntegerOption(values["line-spacing"], "line-spacing"),
+    maxWidth: values.width
+      ? { cols: parseIntegerOption(values.width, "width", Number.POSITIVE_INFINITY, 1) }
+      : undefined,
+    outlineStyle: parseIntegerOption(values["outline-style"], "outline-style", 18),
+    attribute: parseIntegerOption(values.attribute, "attribute", 0xff),
+    gradient: values.gradient,
+  };
+
+  const scale = parseIntegerOption(values.scale, "scale", 16, 1);
+  if (values.png) {
+    fs.writeFileSync(values.png, tdfRenderer.renderToPng({ ...renderOptions, scale }));
+    console.error(`Wrote ${values.png}`);
+  }
+  for (const format of ["gif", "apng"]) {
+    if (!values[format]) continue;
+    const animationOptions = {
+      ...renderOptions,
+      scale,
+      format,
+      effect: values.effect,
+      frameDelayMs: parseIntegerOption(values["frame-delay"], "frame-delay"),
+    };
+    fs.writeFileSync(values[format], tdfRenderer.renderToAnimation(animationOptions));
+    console.error(`Wrote ${values[format]}`);
+  }
+  if (values.ans) {
+    renderOptions.sauce = {
+      title: values.title ?? text.replace(/\n/g, " "),
+      author: values.author,
+      group: values.group,
+    };
+    fs.writeFileSync(values.ans, tdfRenderer.renderToAnsiFile(renderOptions));
+    console.error(`Wrote ${values.ans}`);
+  }
+  if (values.png || values.gif || values.apng || values.ans) {
+    return;
+  }
+
+  process.stdout.write(`${tdfRenderer.renderToText({ ...renderOptions, colorMode: values.colors })}\n`);
+}
+
+main().catch((error) => {
+  console.error(`tdf-figlet: ${error.message}`);
+  process.exit(1);
+});
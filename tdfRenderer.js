@@ -1,858 +1,2726 @@
-// tdfRenderer.js (Supports TDF Bundle Format v4.0)
-// TheDraw Font (.TDF) text rendering library for HTML Canvas.
+// tdfRenderer.js (Supports TDF Bundle Format v4.0 and v5.0)
+// TheDraw Font (.TDF) text rendering library for HTML Canvas, with canvas-free cell grid and ANSI output.
 // Uses a preprocessed binary font bundle with local pair palettes and RLE.
+// Renders Color fonts as stored, and Block and Outline fonts in a chosen attribute (and outline style).
+// ES module exporting the TdfRenderer class; a default instance is also assigned to globalThis.tdfRenderer.
 // Copyright (C) 2012-2025 Ori Livneh & Contributors
 // Licensed under the MIT and GPL licenses
 
-((global) => {
-  // --- Constants ---
-
-  // Standard dimensions for rendering CP437 characters.
-  const CharWidth = 8; // Pixels
-  const CharHeight = 16; // Pixels
-
-  // Default layout parameters.
-  const DefaultMinSpaceWidth = 3; // In character cell units.
-  const DefaultAdditionalLineSpacingPx = 0; // Extra pixels between text lines.
-
-  // RLE constants specific to the Bundle Format v4.0.
-  const RLE_ESCAPE_BYTE = 0xff; // Byte value indicating an RLE sequence.
-  const RLE_MIN_RUN_LENGTH = 3; // Smallest actual run length to be RLE encoded.
-  // Shorter runs are stored as literal indices.
-
-  // Standard CGA/EGA/VGA 16-color palette in RGBA format.
-  const TdfColors = [
+import { encodeApng, encodeGif, encodePng } from "./imageEncoder.js";
+
+// --- Constants ---
+
+// Bitmap font used for CP437 character cells unless the `cellFont` render option chooses another.
+const DefaultCellFontName = "vga";
+// Character cell size used to measure layouts in whole cells rather than pixels.
+const UnitCellSize = { width: 1, height: 1 };
+
+// Default layout parameters.
+const DefaultMinSpaceWidth = 3; // In character cell units.
+const DefaultAdditionalLineSpacingPx = 0; // Extra pixels between text lines.
+
+// RLE constants specific to the Bundle Format v4.0.
+const RLE_ESCAPE_BYTE = 0xff; // Byte value indicating an RLE sequence.
+const RLE_MIN_RUN_LENGTH = 3; // Smallest actual run length to be RLE encoded.
+// Shorter runs are stored as literal indices.
+
+// TDF font types, as stored in the Font Type byte of Bundle Format v5.0 font data blocks.
+const TDF_OUTLINE_FONT_TYPE = 0; // Cells are outline letters ('A'-'Q'), drawn in a caller-chosen attribute.
+const TDF_BLOCK_FONT_TYPE = 1; // Cells are CP437 characters, drawn in a caller-chosen attribute.
+const TDF_COLOR_FONT_TYPE = 2; // Cells are (char, attr) pairs. v4.0 bundles only contain color fonts.
+const FontTypeNames = {
+  [TDF_OUTLINE_FONT_TYPE]: "outline",
+  [TDF_BLOCK_FONT_TYPE]: "block",
+  [TDF_COLOR_FONT_TYPE]: "color",
+};
+
+// Defaults for fonts that carry no color attributes of their own.
+const DefaultOutlineStyle = 0; // Index into OutlineCharSets (0-18).
+const DefaultMonochromeAttribute = 0x07; // Light Gray on Black.
+
+// Position-based recoloring of foregrounds (the `gradient` render option).
+const GradientModes = ["horizontal", "vertical", "rainbow"];
+const DefaultGradientColors = [4, 12, 14, 15]; // Red, Light Red, Yellow, White.
+const DefaultRainbowColors = [12, 14, 10, 11, 9, 13]; // Light Red, Yellow, Light Green, Light Cyan, Light Blue, Light Magenta.
+
+// How glyphs are spaced (the `kerning` render option): full width plus the font's spacing, full width without
+// spacing, or slid together until they touch.
+const KerningModes = ["none", "fitted", "smush"];
+// The (char, attr) pair that tdfParser.js pads glyph rows with; such cells count as empty when smushing.
+const PaddingCharByte = 0x20;
+const PaddingAttrByte = 0x00;
+
+// TheDraw's 19 outline styles. Each row maps the outline letters 'A' (0x41) to 'Q' (0x51)
+// to CP437 characters; any other byte in an outline glyph is drawn as a space.
+// Letters: A/B horizontals, C/D verticals, E-L corners, M/N tees, O-Q fill.
+const OutlineCharSets = [
+  [0xc4, 0xc4, 0xb3, 0xb3, 0xda, 0xbf, 0xda, 0xbf, 0xc0, 0xd9, 0xc0, 0xd9, 0xb4, 0xc3, 0x20, 0x20, 0x20],
+  [0xcd, 0xc4, 0xb3, 0xb3, 0xd5, 0xb8, 0xda, 0xbf, 0xd4, 0xbe, 0xc0, 0xd9, 0xb5, 0xc3, 0x20, 0x20, 0x20],
+  [0xc4, 0xcd, 0xb3, 0xb3, 0xda, 0xbf, 0xd5, 0xb8, 0xc0, 0xd9, 0xd4, 0xbe, 0xb4, 0xc6, 0x20, 0x20, 0x20],
+  [0xcd, 0xcd, 0xb3, 0xb3, 0xd5, 0xb8, 0xd5, 0xb8, 0xd4, 0xbe, 0xd4, 0xbe, 0xb5, 0xc6, 0x20, 0x20, 0x20],
+  [0xc4, 0xc4, 0xba, 0xb3, 0xd6, 0xbf, 0xda, 0xb7, 0xc0, 0xbd, 0xd3, 0xd9, 0xb6, 0xc3, 0x20, 0x20, 0x20],
+  [0xcd, 0xc4, 0xba, 0xb3, 0xc9, 0xb8, 0xda, 0xb7, 0xd4, 0xbc, 0xd3, 0xd9, 0xb9, 0xc3, 0x20, 0x20, 0x20],
+  [0xc4, 0xcd, 0xba, 0xb3, 0xd6, 0xbf, 0xd5, 0xbb, 0xc0, 0xbd, 0xc8, 0xbe, 0xb6, 0xc6, 0x20, 0x20, 0x20],
+  [0xcd, 0xcd, 0xba, 0xb3, 0xc9, 0xb8, 0xd5, 0xbb, 0xd4, 0xbc, 0xc8, 0xbe, 0xb9, 0xc6, 0x20, 0x20, 0x20],
+  [0xc4, 0xc4, 0xb3, 0xba, 0xda, 0xb7, 0xd6, 0xbf, 0xd3, 0xd9, 0xc0, 0xbd, 0xb4, 0xc7, 0x20, 0x20, 0x20],
+  [0xcd, 0xc4, 0xb3, 0xba, 0xd5, 0xbb, 0xd6, 0xbf, 0xc8, 0xbe, 0xc0, 0xbd, 0xb5, 0xc7, 0x20, 0x20, 0x20],
+  [0xc4, 0xcd, 0xb3, 0xba, 0xda, 0xb7, 0xc9, 0xb8, 0xd3, 0xd9, 0xd4, 0xbc, 0xb4, 0xcc, 0x20, 0x20, 0x20],
+  [0xcd, 0xcd, 0xb3, 0xba, 0xd5, 0xbb, 0xc9, 0xb8, 0xc8, 0xbe, 0xd4, 0xbc, 0xb5, 0xcc, 0x20, 0x20, 0x20],
+  [0xc4, 0xc4, 0xba, 0xba, 0xd6, 0xb7, 0xd6, 0xb7, 0xd3, 0xbd, 0xd3, 0xbd, 0xb6, 0xc7, 0x20, 0x20, 0x20],
+  [0xcd, 0xc4, 0xba, 0xba, 0xc9, 0xbb, 0xd6, 0xb7, 0xc8, 0xbc, 0xd3, 0xbd, 0xb9, 0xc7, 0x20, 0x20, 0x20],
+  [0xc4, 0xcd, 0xba, 0xba, 0xd6, 0xb7, 0xc9, 0xbb, 0xd3, 0xbd, 0xc8, 0xbc, 0xb6, 0xcc, 0x20, 0x20, 0x20],
+  [0xcd, 0xcd, 0xba, 0xba, 0xc9, 0xbb, 0xc9, 0xbb, 0xc8, 0xbc, 0xc8, 0xbc, 0xb9, 0xcc, 0x20, 0x20, 0x20],
+  [0xdc, 0xdc, 0xdb, 0xdb, 0xdc, 0xdc, 0xdc, 0xdc, 0xdb, 0xdb, 0xdb, 0xdb, 0xdb, 0xdb, 0x20, 0x20, 0x20],
+  [0xdf, 0xdf, 0xdb, 0xdb, 0xdb, 0xdb, 0xdb, 0xdb, 0xdf, 0xdf, 0xdf, 0xdf, 0xdb, 0xdb, 0x20, 0x20, 0x20],
+  [0xdf, 0xdc, 0xde, 0xdd, 0xde, 0xdd, 0xdc, 0xdc, 0xdf, 0xdf, 0xde, 0xdd, 0xdb, 0xdb, 0x20, 0x20, 0x20],
+];
+
+// Standard CGA/EGA/VGA 16-color palette in RGBA format.
+const TdfColors = [
+  [0, 0, 0, 255], // 0 Black
+  [0, 0, 170, 255], // 1 Blue
+  [0, 170, 0, 255], // 2 Green
+  [0, 170, 170, 255], // 3 Cyan
+  [170, 0, 0, 255], // 4 Red
+  [170, 0, 170, 255], // 5 Magenta
+  [170, 85, 0, 255], // 6 Brown
+  [170, 170, 170, 255], // 7 Light Gray
+  [85, 85, 85, 255], // 8 Dark Gray
+  [85, 85, 255, 255], // 9 Light Blue
+  [85, 255, 85, 255], // 10 Light Green
+  [85, 255, 255, 255], // 11 Light Cyan
+  [255, 85, 85, 255], // 12 Light Red
+  [255, 85, 255, 255], // 13 Light Magenta
+  [255, 255, 85, 255], // 14 Yellow
+  [255, 255, 255, 255], // 15 White
+];
+
+// Named palettes for the `palette` render option. Each maps the 16 DOS color indices, in TdfColors' order,
+// to RGBA colors, so that a font's attributes can be shown in the colors of another platform.
+export const TdfPalettes = Object.freeze({
+  vga: TdfColors,
+  // The VGA colors with dark yellow instead of brown, as on CGA clone monitors that lack the IBM 5153's brown
+  // circuit and show the plain RGBI color. (EGA and VGA both show brown, so an EGA palette would equal "vga".)
+  cga: TdfColors.map((color, index) => (index === 6 ? [170, 170, 0, 255] : color)),
+  // Amiga Workbench style, built around the Workbench 1.3 blue and orange and the 2.0 gray and blue,
+  // in the Amiga's 12-bit color steps.
+  amiga: [
     [0, 0, 0, 255], // 0 Black
-    [0, 0, 170, 255], // 1 Blue
-    [0, 170, 0, 255], // 2 Green
-    [0, 170, 170, 255], // 3 Cyan
-    [170, 0, 0, 255], // 4 Red
-    [170, 0, 170, 255], // 5 Magenta
-    [170, 85, 0, 255], // 6 Brown
-    [170, 170, 170, 255], // 7 Light Gray
-    [85, 85, 85, 255], // 8 Dark Gray
-    [85, 85, 255, 255], // 9 Light Blue
-    [85, 255, 85, 255], // 10 Light Green
-    [85, 255, 255, 255], // 11 Light Cyan
-    [255, 85, 85, 255], // 12 Light Red
-    [255, 85, 255, 255], // 13 Light Magenta
-    [255, 255, 85, 255], // 14 Yellow
+    [0, 85, 170, 255], // 1 Workbench 1.3 blue
+    [0, 136, 68, 255], // 2 Green
+    [0, 136, 170, 255], // 3 Cyan
+    [170, 34, 0, 255], // 4 Red
+    [136, 0, 170, 255], // 5 Magenta
+    [255, 136, 0, 255], // 6 Workbench 1.3 orange
+    [170, 170, 170, 255], // 7 Workbench 2.0 gray
+    [102, 102, 102, 255], // 8 Dark Gray
+    [102, 136, 187, 255], // 9 Workbench 2.0 blue
+    [102, 204, 102, 255], // 10 Light Green
+    [102, 221, 238, 255], // 11 Light Cyan
+    [238, 68, 34, 255], // 12 Light Red
+    [221, 102, 238, 255], // 13 Light Magenta
+    [255, 221, 0, 255], // 14 Yellow
     [255, 255, 255, 255], // 15 White
-  ];
-
-  // --- CP437 Font Data ---
-
-  /**
-   * Retrieves pre-loaded CP437 font data, expected to be on the global object.
-   * This data provides the pixel patterns for rendering CP437 characters.
-   * @returns {Array<Array<number>>} The CP437 font data (array of 256 bitmaps) or a dummy array if not found.
-   */
-  function getCp437FontData() {
-    if (
-      typeof globalThis !== "undefined" &&
-      Array.isArray(globalThis.cp437font) &&
-      globalThis.cp437font.length >= 256
-    ) {
-      return globalThis.cp437font;
+  ],
+  // Commodore 64 colors (Pepto's measurements). The C64 has no light cyan or light magenta,
+  // so those reuse cyan and purple.
+  c64: [
+    [0, 0, 0, 255], // 0 Black
+    [64, 49, 141, 255], // 1 Blue
+    [85, 160, 73, 255], // 2 Green
+    [103, 182, 189, 255], // 3 Cyan
+    [136, 57, 50, 255], // 4 Red
+    [139, 63, 150, 255], // 5 Purple
+    [139, 84, 41, 255], // 6 Orange
+    [159, 159, 159, 255], // 7 Light Grey
+    [80, 80, 80, 255], // 8 Dark Grey
+    [120, 105, 196, 255], // 9 Light Blue
+    [148, 224, 137, 255], // 10 Light Green
+    [103, 182, 189, 255], // 11 Cyan
+    [184, 105, 98, 255], // 12 Light Red
+    [139, 63, 150, 255], // 13 Purple
+    [191, 206, 114, 255], // 14 Yellow
+    [255, 255, 255, 255], // 15 White
+  ],
+  // The luminance (Rec. 601) of each VGA color.
+  grayscale: [0, 19, 100, 119, 51, 70, 101, 170, 85, 104, 185, 204, 136, 155, 236, 255].map((y) => [y, y, y, 255]),
+});
+
+// Unicode equivalents of the 256 CP437 characters, indexed by character code.
+// 0x00 and 0xFF (blank and non-breaking space) are both rendered as a plain space.
+const Cp437ToUnicode =
+  " ☺☻♥♦♣♠•◘○◙♂♀♪♫☼►◄↕‼¶§▬↨↑↓→←∟↔▲▼" +
+  " !\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~⌂" +
+  "ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»" +
+  "░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀" +
+  "αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■ ";
+
+// Maps DOS color indices (as used in TDF attributes) to ANSI SGR color offsets (30+n / 40+n).
+// DOS order is Black, Blue, Green, Cyan, Red, Magenta, Brown, Gray; ANSI swaps blue/red and cyan/brown.
+const DosToAnsiColor = [0, 4, 2, 6, 1, 5, 3, 7];
+
+// Color modes of `renderToText`: plain text, or colors as 16-color, 256-color or 24-bit ANSI SGR escape sequences.
+const TextColorModes = ["none", "ansi16", "ansi256", "truecolor"];
+// Component levels of the 6x6x6 color cube (entries 16-231) of the xterm 256-color palette.
+const Xterm256CubeLevels = [0, 95, 135, 175, 215, 255];
+
+// How long each phase of blinking characters (shown, hidden) lasts on the canvas.
+const BlinkIntervalMs = 500;
+
+// File formats and effects of `renderToAnimation`.
+const AnimationFormats = ["gif", "apng"];
+const AnimationEffects = ["typewriter", "blink", "paletteCycle"];
+// Default frame durations of each effect, in milliseconds. Blinking uses the canvas's blink rate.
+const DefaultAnimationFrameDelaysMs = { typewriter: 100, blink: BlinkIntervalMs, paletteCycle: 150 };
+// How long the typewriter effect shows the complete text before starting over.
+const DefaultAnimationHoldDelayMs = 2000;
+
+// Vertical stretch that makes square canvas pixels look like VGA text mode on a 4:3 display:
+// the 720x400 text mode filled a 4:3 screen, so each pixel was (720 / 400) * (3 / 4) = 1.35 times as tall as wide.
+export const DosPixelAspectRatio = 1.35;
+
+// --- CP437 Font Data ---
+
+/**
+ * Retrieves pre-loaded CP437 font data, expected to be on the global object.
+ * This data provides the pixel patterns for rendering CP437 characters.
+ * @returns {Array<Array<number>>} The CP437 font data (array of 256 bitmaps) or a dummy array if not found.
+ */
+function getCp437FontData() {
+  if (typeof globalThis !== "undefined" && Array.isArray(globalThis.cp437font) && globalThis.cp437font.length >= 256) {
+    return globalThis.cp437font;
+  }
+  console.error("tdfRenderer Error: globalThis.cp437font not found or invalid. CP437 rendering may fail.");
+  // Provide a dummy structure to prevent immediate crashes if cp437font is missing.
+  return new Array(256).fill([]);
+}
+const cp437FontData = getCp437FontData();
+
+/**
+ * A bitmap font for CP437 character cells.
+ * @typedef {object} CellFont
+ * @property {number} width - Width of a character cell in pixels (1-16).
+ * @property {number} height - Height of a character cell in pixels (1-32).
+ * @property {Array<Array<number>>} glyphs - 256 bitmaps, indexed by CP437 character code. Each bitmap has `height`
+ * rows, and in each row bit `width - 1` is the leftmost pixel (so bit 7 for 8-pixel-wide cells).
+ */
+
+/**
+ * Builds the cell fonts every renderer starts with. All of them are derived from the 8x16 VGA font.
+ * @param {Array<Array<number>>} vgaGlyphs - The 8x16 VGA font, as returned by `getCp437FontData`.
+ * @returns {Object<string, CellFont>} The built-in cell fonts, keyed by name.
+ */
+function _buildBuiltInCellFonts(vgaGlyphs) {
+  const deriveGlyphs = (deriveBitmap) => vgaGlyphs.map((bitmap, code) => deriveBitmap(bitmap || [], code));
+  const row = (bitmap, index) => bitmap[index] || 0x00;
+  const isLineDrawingChar = (code) => code >= 0xc0 && code <= 0xdf;
+  const isShadeChar = (code) => code >= 0xb0 && code <= 0xb2;
+  const isGraphicsChar = (code) => code >= 0xb0 && code <= 0xdf; // Shades, line drawing and block characters.
+  // Each pair of VGA rows is merged into one, which keeps one-pixel lines. Shades take one row of each pair
+  // instead, alternating between the two, so that their dither patterns survive.
+  const cgaGlyphs = deriveGlyphs((bitmap, code) =>
+    Array.from({ length: 8 }, (_, index) =>
+      isShadeChar(code) ? row(bitmap, index * 2 + (index % 2)) : row(bitmap, index * 2) | row(bitmap, index * 2 + 1),
+    ),
+  );
+  return {
+    // The VGA text mode font.
+    vga: { width: 8, height: 16, glyphs: vgaGlyphs },
+    // VGA text mode with 9-pixel-wide cells. The ninth column is blank, except for the line drawing and block
+    // characters 0xC0-0xDF, which repeat their eighth column so that lines join up across cells.
+    vga9: {
+      width: 9,
+      height: 16,
+      glyphs: deriveGlyphs((bitmap, code) =>
+        bitmap.map((bits) => (bits << 1) | (isLineDrawingChar(code) ? bits & 1 : 0)),
+      ),
+    },
+    // An 8x14 EGA-style font: the VGA glyphs without their top and bottom rows, which are blank for most characters.
+    ega: { width: 8, height: 14, glyphs: deriveGlyphs((bitmap) => bitmap.slice(1, 15)) },
+    // An 8x8 CGA-style font.
+    cga: { width: 8, height: 8, glyphs: cgaGlyphs },
+    // An 8x8 font in the style of the Amiga's Topaz: the CGA-style glyphs with every vertical stroke two pixels
+    // wide, as Topaz draws them. Graphics characters are left as they are, so that lines and shades still join.
+    topaz: {
+      width: 8,
+      height: 8,
+      glyphs: cgaGlyphs.map((bitmap, code) =>
+        isGraphicsChar(code) ? bitmap : bitmap.map((bits) => bits | (bits >> 1)),
+      ),
+    },
+  };
+}
+const BuiltInCellFonts = Object.freeze(_buildBuiltInCellFonts(cp437FontData));
+
+/**
+ * Checks that a value is a usable `CellFont`.
+ * @param {*} cellFont - The value to check.
+ * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+ * @returns {CellFont} The cell font.
+ * @throws {Error} If the size is out of range or there are not 256 glyph bitmaps.
+ */
+function _validateCellFont(cellFont, apiName) {
+  if (!cellFont || typeof cellFont !== "object") {
+    throw new Error(`${apiName}: A cell font must be an object with width, height and glyphs.`);
+  }
+  const { width, height, glyphs } = cellFont;
+  if (!Number.isInteger(width) || width < 1 || width > 16 || !Number.isInteger(height) || height < 1 || height > 32) {
+    throw new Error(
+      `${apiName}: Cell font size must be 1-16 pixels wide and 1-32 pixels high, got ${width}x${height}.`,
+    );
+  }
+  if (!Array.isArray(glyphs) || glyphs.length !== 256) {
+    throw new Error(`${apiName}: A cell font must have 256 glyph bitmaps, one per CP437 character.`);
+  }
+  return cellFont;
+}
+
+// --- Bundle Types & Shared State ---
+
+/**
+ * A loaded TDF font bundle.
+ * @typedef {object} LoadedBundle
+ * @property {string} name - Name of the bundle; its fonts' keys are prefixed with it (see `_namespaceFontKey`).
+ * @property {string[]} fontKeys - Namespaced keys of the bundle's fonts.
+ * @property {DataView} view - DataView over the bundle's bytes.
+ * @property {number} version - Bundle format version read from the header.
+ * @property {number} stringPoolOffset - Absolute offset of the string pool within the bundle.
+ * @property {number} fontDataPoolOffset - Absolute offset of the font data pool within the bundle.
+ */
+
+/**
+ * Locates a font: the bundle holding it and the offset of its data block within that bundle's Font Data Pool.
+ * @typedef {{key: string, bundle: LoadedBundle, fontDataOffsetInPool: number}} FontHandle
+ */
+
+const BundleNamespaceSeparator = "/"; // Separates the bundle name from the font key, e.g. "packs/FONT.TDF_NAME".
+const SUPPORTED_BUNDLE_FORMAT_VERSIONS = [4, 5]; // v5.0 adds a Font Type byte to each font data block.
+
+// Cache for parsed font-specific details (pair palettes, GLT offsets, etc.)
+// Key: FontHandle, Value: Object containing { bundleView, type, spacing, nPairs, pairPalette, glyphCount, gltAbsOffset, gdtBaseAbsOffset }
+// Entries go away with the handles of unloaded bundles. Shared by all TdfRenderer instances, but each handle
+// belongs to a single instance, so instances never see each other's entries.
+const _parsedFontDetailsCache = new WeakMap();
+
+// --- Utilities: File I/O & String Parsing ---
+
+/**
+ * Asynchronously fetches binary data (ArrayBuffer) from a given URL.
+ * @param {string} url - The URL from which to fetch the binary data.
+ * @returns {Promise<ArrayBuffer>} A promise that resolves with the ArrayBuffer.
+ * @throws {Error} If the network request fails or the response is not OK.
+ */
+async function fetchBinary(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! Status: ${response.status} fetching ${url}`);
     }
-    console.error("tdfRenderer Error: globalThis.cp437font not found or invalid. CP437 rendering may fail.");
-    // Provide a dummy structure to prevent immediate crashes if cp437font is missing.
-    return new Array(256).fill([]);
+    return await response.arrayBuffer();
+  } catch (error) {
+    console.error(`tdfRenderer: Error fetching binary data from ${url}:`, error);
+    throw error; // Re-throw to allow the caller to handle it.
   }
-  const cp437FontData = getCp437FontData();
-
-  // --- Internal State ---
-
-  let _bundleBuffer = null; // ArrayBuffer holding the entire TDF font bundle.
-  let _bundleView = null; // DataView for accessing _bundleBuffer.
-  let _fontIndex = new Map(); // Maps uniqueFontKey (string) to fontDataOffsetInPool (number).
-  let _stringPoolOffset = 0; // Absolute offset of the string pool within the bundle.
-  let _fontDataPoolOffset = 0; // Absolute offset of the font data pool within the bundle.
-  let _isInitialized = false; // Flag indicating if init() has successfully completed.
-  const EXPECTED_BUNDLE_FORMAT_VERSION = 4; // This renderer is built for Bundle Format v4.0.
-  let _actualBundleFormatVersion = 0; // Stores the version read from the loaded bundle.
-
-  // Cache for parsed font-specific details (pair palettes, GLT offsets, etc.)
-  // Key: fontDataOffsetInPool (number), Value: Object containing { spacing, nPairs, pairPalette, glyphCount, gltAbsOffset, gdtBaseAbsOffset }
-  const _parsedFontDetailsCache = new Map();
-
-  // --- Utilities: File I/O & String Parsing ---
-
-  /**
-   * Asynchronously fetches binary data (ArrayBuffer) from a given URL.
-   * @param {string} url - The URL from which to fetch the binary data.
-   * @returns {Promise<ArrayBuffer>} A promise that resolves with the ArrayBuffer.
-   * @throws {Error} If the network request fails or the response is not OK.
-   */
-  async function fetchBinary(url) {
+}
+
+/**
+ * Reads a null-terminated UTF-8 string from a DataView starting at a given offset.
+ * @param {DataView} dataView - The DataView to read from.
+ * @param {number} startOffset - The absolute offset within the DataView's buffer where the string begins.
+ * @returns {string} The decoded string. Returns an empty string if reading fails or the string is empty.
+ */
+function readNullTerminatedString(dataView, startOffset) {
+  let endOffset = startOffset;
+  // Find the null terminator or end of buffer.
+  while (endOffset < dataView.byteLength && dataView.getUint8(endOffset) !== 0) {
+    endOffset++;
+  }
+  if (endOffset === startOffset) return ""; // Empty string.
+
+  // Extract bytes and decode.
+  const stringBytes = new Uint8Array(dataView.buffer, dataView.byteOffset + startOffset, endOffset - startOffset);
+  try {
+    return new TextDecoder().decode(stringBytes); // Modern browsers.
+  } catch {
+    // Fallback for environments without TextDecoder or for specific character sets if needed.
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`HTTP error! Status: ${response.status} fetching ${url}`);
-      }
-      return await response.arrayBuffer();
-    } catch (error) {
-      console.error(`tdfRenderer: Error fetching binary data from ${url}:`, error);
-      throw error; // Re-throw to allow the caller to handle it.
+      return String.fromCharCode.apply(null, stringBytes);
+    } catch (decodeError) {
+      console.warn(
+        "tdfRenderer: String decoding failed with TextDecoder and String.fromCharCode fallback:",
+        decodeError,
+      );
+      return ""; // Return empty on failure.
     }
   }
+}
+
+// --- Utilities: CP437 Character Rendering ---
+
+/**
+ * Fills an ImageData object with a specified RGBA color.
+ * @param {ImageData} imageData - The ImageData object to fill.
+ * @param {Array<number>} colorRgba - An array [r, g, b, a] representing the color.
+ */
+function _fillImageData(imageData, colorRgba) {
+  const data = imageData.data;
+  const [r, g, b, a] = colorRgba;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = a;
+  }
+}
+
+/**
+ * Draws a single CP437 character onto a canvas context using a cell font's bitmap data.
+ * @param {CanvasRenderingContext2D} context - The 2D rendering context of the canvas.
+ * @param {number} charCode - The CP437 character code (0-255).
+ * @param {number} canvasX - The target X-coordinate on the canvas (top-left of character).
+ * @param {number} canvasY - The target Y-coordinate on the canvas (top-left of character).
+ * @param {Array<number>} fgColorRgba - Foreground color as [r, g, b, a].
+ * @param {Array<number>} bgColorRgba - Background color as [r, g, b, a].
+ * @param {CellFont} cellFont - The bitmap font to draw the character with.
+ */
+function drawCp437Char(context, charCode, canvasX, canvasY, fgColorRgba, bgColorRgba, cellFont) {
+  if (typeof context.createImageData !== "function") {
+    console.warn("tdfRenderer: context.createImageData is not available. Cannot draw CP437 char.");
+    return;
+  }
 
-  /**
-   * Reads a null-terminated UTF-8 string from a DataView starting at a given offset.
-   * @param {DataView} dataView - The DataView to read from.
-   * @param {number} startOffset - The absolute offset within the DataView's buffer where the string begins.
-   * @returns {string} The decoded string. Returns an empty string if reading fails or the string is empty.
-   */
-  function readNullTerminatedString(dataView, startOffset) {
-    let endOffset = startOffset;
-    // Find the null terminator or end of buffer.
-    while (endOffset < dataView.byteLength && dataView.getUint8(endOffset) !== 0) {
-      endOffset++;
-    }
-    if (endOffset === startOffset) return ""; // Empty string.
+  let imageData;
+  try {
+    imageData = context.createImageData(cellFont.width, cellFont.height);
+  } catch (e) {
+    console.warn("tdfRenderer: context.createImageData failed. Cannot draw CP437 char.", e);
+    return;
+  }
 
-    // Extract bytes and decode.
-    const stringBytes = new Uint8Array(dataView.buffer, dataView.byteOffset + startOffset, endOffset - startOffset);
-    try {
-      return new TextDecoder().decode(stringBytes); // Modern browsers.
-    } catch {
-      // Fallback for environments without TextDecoder or for specific character sets if needed.
-      try {
-        return String.fromCharCode.apply(null, stringBytes);
-      } catch (decodeError) {
-        console.warn(
-          "tdfRenderer: String decoding failed with TextDecoder and String.fromCharCode fallback:",
-          decodeError,
-        );
-        return ""; // Return empty on failure.
+  const data = imageData.data;
+  const code = charCode & 0xff; // Ensure charCode is within 0-255 range.
+  const bitmap = cellFont.glyphs[code]; // Get pixel data from the cell font.
+
+  if (!bitmap || bitmap.length < cellFont.height) {
+    // If character bitmap is undefined or incomplete, fill the cell with background color.
+    // Use transparent black if the provided background color is itself transparent.
+    const fillColor = bgColorRgba[3] > 0 ? bgColorRgba : [0, 0, 0, 0];
+    _fillImageData(imageData, fillColor);
+  } else {
+    // Render the character using its bitmap data.
+    const { width, height } = cellFont;
+    for (let row = 0; row < height; row++) {
+      const rowBits = bitmap[row] || 0x00; // Default to an empty row if bitmap data is sparse.
+      for (let col = 0; col < width; col++) {
+        const offset = (row * width + col) * 4; // Calculate pixel offset in ImageData.
+        const isForegroundPixel = (rowBits >> (width - 1 - col)) & 1; // Check if current pixel is foreground.
+        const [r, g, b, a] = isForegroundPixel ? fgColorRgba : bgColorRgba;
+
+        data[offset] = r;
+        data[offset + 1] = g;
+        data[offset + 2] = b;
+        data[offset + 3] = a;
       }
     }
   }
+  // Place the rendered character onto the canvas. Floor coordinates for pixel-perfect drawing.
+  context.putImageData(imageData, Math.floor(canvasX), Math.floor(canvasY));
+}
+
+// --- Utilities: TDF Glyph Parsing & Metrics (for Bundle v4.0) ---
+
+/**
+ * Parses and caches detailed information for a specific font from the bundle.
+ * This includes its pair palette, spacing, glyph count, and table offsets.
+ * @param {FontHandle} fontHandle - The font, as stored in the font index.
+ * @returns {object | null} An object containing font details, or null if parsing fails.
+ */
+function _getOrParseFontDetails(fontHandle) {
+  if (_parsedFontDetailsCache.has(fontHandle)) {
+    return _parsedFontDetailsCache.get(fontHandle);
+  }
 
-  // --- Utilities: CP437 Character Rendering ---
-
-  /**
-   * Fills an ImageData object with a specified RGBA color.
-   * @param {ImageData} imageData - The ImageData object to fill.
-   * @param {Array<number>} colorRgba - An array [r, g, b, a] representing the color.
-   */
-  function _fillImageData(imageData, colorRgba) {
-    const data = imageData.data;
-    const [r, g, b, a] = colorRgba;
-    for (let i = 0; i < data.length; i += 4) {
-      data[i] = r;
-      data[i + 1] = g;
-      data[i + 2] = b;
-      data[i + 3] = a;
+  const { bundle, fontDataOffsetInPool } = fontHandle;
+  const bundleView = bundle.view;
+  const fontBaseAbsOffset = bundle.fontDataPoolOffset + fontDataOffsetInPool;
+  let currentParseOffset = fontBaseAbsOffset;
+  const details = { bundleView }; // Glyph lookups read from the font's own bundle.
+
+  try {
+    // 0. Font Type (Uint8), present from Bundle Format v5.0 on. Older bundles only hold color fonts.
+    if (bundle.version >= 5) {
+      if (currentParseOffset + 1 > bundleView.byteLength) throw new Error("EOF reading font type.");
+      details.type = bundleView.getUint8(currentParseOffset);
+      currentParseOffset += 1;
+    } else {
+      details.type = TDF_COLOR_FONT_TYPE;
     }
-  }
 
-  /**
-   * Draws a single CP437 character onto a canvas context using preloaded bitmap data.
-   * @param {CanvasRenderingContext2D} context - The 2D rendering context of the canvas.
-   * @param {number} charCode - The CP437 character code (0-255).
-   * @param {number} canvasX - The target X-coordinate on the canvas (top-left of character).
-   * @param {number} canvasY - The target Y-coordinate on the canvas (top-left of character).
-   * @param {Array<number>} fgColorRgba - Foreground color as [r, g, b, a].
-   * @param {Array<number>} bgColorRgba - Background color as [r, g, b, a].
-   */
-  function drawCp437Char(context, charCode, canvasX, canvasY, fgColorRgba, bgColorRgba) {
-    if (typeof context.createImageData !== "function") {
-      console.warn("tdfRenderer: context.createImageData is not available. Cannot draw CP437 char.");
-      return;
+    // 1. Font Spacing (Uint8)
+    if (currentParseOffset + 1 > bundleView.byteLength) throw new Error("EOF reading font spacing.");
+    details.spacing = bundleView.getUint8(currentParseOffset);
+    currentParseOffset += 1;
+
+    // 2. Number of (Character, Attribute) Pairs in local palette (Uint8)
+    if (currentParseOffset + 1 > bundleView.byteLength) throw new Error("EOF reading nPairs.");
+    const nPairs = bundleView.getUint8(currentParseOffset);
+    details.nPairs = nPairs;
+    currentParseOffset += 1;
+
+    // 3. Pair Palette Data (nPairs * 2 bytes)
+    details.pairPalette = []; // Stores {char: number, attr: number} objects
+    const pairPaletteDataSize = nPairs * 2;
+    if (currentParseOffset + pairPaletteDataSize > bundleView.byteLength)
+      throw new Error("EOF reading pairPalette data.");
+    for (let i = 0; i < nPairs; i++) {
+      const charByte = bundleView.getUint8(currentParseOffset++);
+      const attrByte = bundleView.getUint8(currentParseOffset++);
+      details.pairPalette.push({ char: charByte, attr: attrByte });
     }
 
-    let imageData;
-    try {
-      imageData = context.createImageData(CharWidth, CharHeight);
-    } catch (e) {
-      console.warn("tdfRenderer: context.createImageData failed. Cannot draw CP437 char.", e);
-      return;
+    // 4. Glyph Count (Uint8)
+    if (currentParseOffset + 1 > bundleView.byteLength) throw new Error("EOF reading glyphCount.");
+    details.glyphCount = bundleView.getUint8(currentParseOffset);
+    currentParseOffset += 1;
+
+    // 5. Glyph Lookup Table (GLT) starts at the current offset.
+    details.gltAbsOffset = currentParseOffset;
+
+    // 6. Glyph Data Table (GDT) starts immediately after the GLT.
+    const gltSize = details.glyphCount * 3; // Each GLT entry is 3 bytes.
+    details.gdtBaseAbsOffset = details.gltAbsOffset + gltSize;
+
+    // Basic validation: GDT base offset should be within bundle bounds if glyphs exist.
+    if (details.gdtBaseAbsOffset > bundleView.byteLength && details.glyphCount > 0) {
+      throw new Error("Calculated GDT base offset is out of bundle bounds.");
     }
 
-    const data = imageData.data;
-    const code = charCode & 0xff; // Ensure charCode is within 0-255 range.
-    const bitmap = cp437FontData[code]; // Get pixel data from preloaded CP437 font.
+    _parsedFontDetailsCache.set(fontHandle, details); // Cache successfully parsed details.
+    return details;
+  } catch (e) {
+    console.error(
+      `tdfRenderer: Error parsing font details for font "${fontHandle.key}" at data pool offset ${fontDataOffsetInPool}:`,
+      e.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Finds a glyph's data offset within its font's Glyph Data Table (GDT)
+ * using a binary search on the Glyph Lookup Table (GLT).
+ * @param {DataView} bundleView - DataView of the bundle holding the font.
+ * @param {number} gltAbsOffset - Absolute start offset of the GLT in bundleView.
+ * @param {number} glyphCount - Number of entries in the GLT.
+ * @param {number} charCode - The ASCII character code to search for.
+ * @returns {number} The glyph's data offset relative to its GDT base, or -1 if not found.
+ */
+function _findGlyphOffsetInLookupTable(bundleView, gltAbsOffset, glyphCount, charCode) {
+  let low = 0;
+  let high = glyphCount - 1;
+
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    const entryAbsOffset = gltAbsOffset + mid * 3; // Each GLT entry is 3 bytes.
+
+    // Safety check: ensure the GLT entry being accessed is within bundle bounds.
+    if (entryAbsOffset + 3 > bundleView.byteLength) {
+      console.warn(`tdfRenderer: GLT entry search for charCode ${charCode} went out of bounds.`);
+      return -1; // Should not happen with valid GLT and glyphCount.
+    }
 
-    if (!bitmap || bitmap.length < CharHeight) {
-      // If character bitmap is undefined or incomplete, fill the cell with background color.
-      // Use transparent black if the provided background color is itself transparent.
-      const fillColor = bgColorRgba[3] > 0 ? bgColorRgba : [0, 0, 0, 0];
-      _fillImageData(imageData, fillColor);
+    const entryCharCode = bundleView.getUint8(entryAbsOffset);
+    if (entryCharCode === charCode) {
+      return bundleView.getUint16(entryAbsOffset + 1, true); // Found: return 2-byte relative offset (Little Endian).
+    }
+    if (charCode < entryCharCode) {
+      high = mid - 1;
     } else {
-      // Render the character using its bitmap data.
-      for (let row = 0; row < CharHeight; row++) {
-        const rowBits = bitmap[row] || 0x00; // Default to an empty row if bitmap data is sparse.
-        for (let col = 0; col < CharWidth; col++) {
-          const offset = (row * CharWidth + col) * 4; // Calculate pixel offset in ImageData.
-          const isForegroundPixel = (rowBits >> (7 - col)) & 1; // Check if current pixel is foreground.
-          const [r, g, b, a] = isForegroundPixel ? fgColorRgba : bgColorRgba;
-
-          data[offset] = r;
-          data[offset + 1] = g;
-          data[offset + 2] = b;
-          data[offset + 3] = a;
+      low = mid + 1;
+    }
+  }
+  return -1; // Character code not found in GLT.
+}
+
+/**
+ * Decodes an RLE (Run-Length Encoded) stream of pair palette indices.
+ * @param {DataView} bundleView - DataView of the bundle holding the font.
+ * @param {number} rleStreamAbsOffset - Absolute offset in bundleView where the RLE stream begins.
+ * @param {number} expectedNumCells - The total number of cells (width * height) expected to be decoded.
+ * @returns {Array<number> | null} An array of pair palette indices, or null if a critical error occurs.
+ */
+function _decodeRLEStreamToPairIndices(bundleView, rleStreamAbsOffset, expectedNumCells) {
+  const decodedIndices = [];
+  let currentOffset = rleStreamAbsOffset;
+  let cellsDecoded = 0;
+
+  while (cellsDecoded < expectedNumCells) {
+    if (currentOffset >= bundleView.byteLength) {
+      console.warn("tdfRenderer: RLE stream ended prematurely before all cells were decoded.");
+      break; // Break and handle potential mismatch below.
+    }
+    const byteValue = bundleView.getUint8(currentOffset++);
+
+    if (byteValue === RLE_ESCAPE_BYTE) {
+      // RLE sequence follows.
+      if (currentOffset + 2 > bundleView.byteLength) {
+        // Need 2 more bytes for run_length_byte & index_to_repeat.
+        console.warn("tdfRenderer: RLE stream ended prematurely during an escape sequence.");
+        break;
+      }
+      const runLengthByte = bundleView.getUint8(currentOffset++);
+      const indexToRepeat = bundleView.getUint8(currentOffset++);
+      const actualRunLength = runLengthByte + RLE_MIN_RUN_LENGTH;
+
+      for (let k = 0; k < actualRunLength; k++) {
+        if (cellsDecoded + k < expectedNumCells) {
+          // Ensure we don't write past the expected number of cells.
+          decodedIndices.push(indexToRepeat);
+        } else {
+          // This indicates the RLE run would overflow the expected cell count.
+          console.warn("tdfRenderer: RLE run exceeds expected cell count. Truncating run.");
+          break; // Stop this run.
         }
       }
+      cellsDecoded += actualRunLength;
+    } else {
+      // Literal pair palette index.
+      decodedIndices.push(byteValue);
+      cellsDecoded++;
     }
-    // Place the rendered character onto the canvas. Floor coordinates for pixel-perfect drawing.
-    context.putImageData(imageData, Math.floor(canvasX), Math.floor(canvasY));
   }
 
-  // --- Utilities: TDF Glyph Parsing & Metrics (for Bundle v4.0) ---
-
-  /**
-   * Parses and caches detailed information for a specific font from the bundle.
-   * This includes its pair palette, spacing, glyph count, and table offsets.
-   * @param {number} fontDataOffsetInPool - The font's data block offset relative to the start of the Font Data Pool.
-   * @returns {object | null} An object containing font details, or null if parsing fails.
-   */
-  function _getOrParseFontDetails(fontDataOffsetInPool) {
-    if (_parsedFontDetailsCache.has(fontDataOffsetInPool)) {
-      return _parsedFontDetailsCache.get(fontDataOffsetInPool);
+  // If the number of decoded cells doesn't match, adjust for robustness.
+  if (decodedIndices.length !== expectedNumCells) {
+    console.warn(
+      `tdfRenderer: RLE decoded cells count (${decodedIndices.length}) does not match expected count (${expectedNumCells}). Stream may be corrupt or have an issue. Adjusting to expected length.`,
+    );
+    // Create an array of the correct size, filling with decoded data or padding.
+    const result = new Array(expectedNumCells);
+    for (let i = 0; i < expectedNumCells; ++i) {
+      result[i] = decodedIndices[i] !== undefined ? decodedIndices[i] : 0; // Pad with index 0 (first pair) if too short.
     }
+    return result;
+  }
+  return decodedIndices;
+}
+
+/**
+ * Retrieves a glyph's declared width and actual height for layout calculations.
+ * This does not parse the full cell stream.
+ * @param {FontHandle} fontHandle - The font, as stored in the font index.
+ * @param {number} charCode - The ASCII character code of the glyph.
+ * @returns {{width: number, height: number} | null} Object with `width` (in cells) and `height` (in lines), or null if not found or error.
+ */
+function _getGlyphLayoutMetricsOnly(fontHandle, charCode) {
+  const fontDetails = _getOrParseFontDetails(fontHandle);
+  if (!fontDetails) return null;
+
+  const { bundleView, glyphCount, gltAbsOffset, gdtBaseAbsOffset } = fontDetails;
+  if (glyphCount === 0) return null; // Font has no glyphs.
+
+  const glyphDataRelOffset = _findGlyphOffsetInLookupTable(bundleView, gltAbsOffset, glyphCount, charCode);
+  if (glyphDataRelOffset === -1) return null; // Glyph not defined.
+
+  const glyphSpecificDataAbsOffset = gdtBaseAbsOffset + glyphDataRelOffset;
+  // Ensure width and height bytes are readable from the GDT.
+  if (glyphSpecificDataAbsOffset + 2 > bundleView.byteLength) {
+    console.warn(
+      `tdfRenderer: Insufficient data for glyph metrics (char ${charCode}) at GDT offset ${glyphSpecificDataAbsOffset}.`,
+    );
+    return null;
+  }
 
-    const fontBaseAbsOffset = _fontDataPoolOffset + fontDataOffsetInPool;
-    let currentParseOffset = fontBaseAbsOffset;
-    const details = {};
+  const width = bundleView.getUint8(glyphSpecificDataAbsOffset);
+  const height = bundleView.getUint8(glyphSpecificDataAbsOffset + 1);
+  return { width, height };
+}
+
+/**
+ * Parses a TDF glyph's full data, including RLE decoding and mapping indices to (char, attr) pairs.
+ * The returned array is flat: [width, height, char1, attr1, char2, attr2, ...].
+ * @param {FontHandle} fontHandle - The font, as stored in the font index.
+ * @param {number} charCode - The ASCII character code of the glyph.
+ * @returns {Array<number> | null} Parsed glyph data, or null on error.
+ */
+function parseGlyphDataOnDemand(fontHandle, charCode) {
+  const fontDetails = _getOrParseFontDetails(fontHandle);
+  if (!fontDetails) {
+    console.error(`tdfRenderer: Failed to get font details for font "${fontHandle.key}" when parsing glyph.`);
+    return null;
+  }
 
-    try {
-      // 1. Font Spacing (Uint8)
-      if (currentParseOffset + 1 > _bundleView.byteLength) throw new Error("EOF reading font spacing.");
-      details.spacing = _bundleView.getUint8(currentParseOffset);
-      currentParseOffset += 1;
+  const { bundleView, glyphCount, gltAbsOffset, gdtBaseAbsOffset, pairPalette } = fontDetails;
+  if (glyphCount === 0) return null; // Font contains no glyph definitions.
 
-      // 2. Number of (Character, Attribute) Pairs in local palette (Uint8)
-      if (currentParseOffset + 1 > _bundleView.byteLength) throw new Error("EOF reading nPairs.");
-      const nPairs = _bundleView.getUint8(currentParseOffset);
-      details.nPairs = nPairs;
-      currentParseOffset += 1;
+  const glyphDataRelOffset = _findGlyphOffsetInLookupTable(bundleView, gltAbsOffset, glyphCount, charCode);
+  if (glyphDataRelOffset === -1) return null; // Glyph for this charCode is not defined in this font.
 
-      // 3. Pair Palette Data (nPairs * 2 bytes)
-      details.pairPalette = []; // Stores {char: number, attr: number} objects
-      const pairPaletteDataSize = nPairs * 2;
-      if (currentParseOffset + pairPaletteDataSize > _bundleView.byteLength)
-        throw new Error("EOF reading pairPalette data.");
-      for (let i = 0; i < nPairs; i++) {
-        const charByte = _bundleView.getUint8(currentParseOffset++);
-        const attrByte = _bundleView.getUint8(currentParseOffset++);
-        details.pairPalette.push({ char: charByte, attr: attrByte });
-      }
+  const glyphSpecificDataAbsOffset = gdtBaseAbsOffset + glyphDataRelOffset;
 
-      // 4. Glyph Count (Uint8)
-      if (currentParseOffset + 1 > _bundleView.byteLength) throw new Error("EOF reading glyphCount.");
-      details.glyphCount = _bundleView.getUint8(currentParseOffset);
-      currentParseOffset += 1;
+  try {
+    // Read Width and Height for the glyph.
+    if (glyphSpecificDataAbsOffset + 2 > bundleView.byteLength) throw new Error("EOF reading glyph width/height.");
+    const width = bundleView.getUint8(glyphSpecificDataAbsOffset);
+    const height = bundleView.getUint8(glyphSpecificDataAbsOffset + 1);
+    const rleStreamAbsOffset = glyphSpecificDataAbsOffset + 2; // RLE stream follows width & height.
+    const expectedNumCells = width * height;
 
-      // 5. Glyph Lookup Table (GLT) starts at the current offset.
-      details.gltAbsOffset = currentParseOffset;
+    if (expectedNumCells === 0) {
+      // Glyph has no cells (e.g., width or height is 0). This is valid.
+      return [width, height]; // Return dimensions with an empty cell stream.
+    }
 
-      // 6. Glyph Data Table (GDT) starts immediately after the GLT.
-      const gltSize = details.glyphCount * 3; // Each GLT entry is 3 bytes.
-      details.gdtBaseAbsOffset = details.gltAbsOffset + gltSize;
+    const decodedIndices = _decodeRLEStreamToPairIndices(bundleView, rleStreamAbsOffset, expectedNumCells);
+    if (!decodedIndices) {
+      throw new Error(`Failed to decode RLE stream for char ${charCode}.`);
+    }
 
-      // Basic validation: GDT base offset should be within bundle bounds if glyphs exist.
-      if (details.gdtBaseAbsOffset > _bundleView.byteLength && details.glyphCount > 0) {
-        throw new Error("Calculated GDT base offset is out of bundle bounds.");
+    // Map decoded pair palette indices back to [char, attr] pairs.
+    const cellData = []; // Will store [char1, attr1, char2, attr2, ...]
+    for (const index of decodedIndices) {
+      if (index >= pairPalette.length) {
+        // This indicates an invalid index, possibly due to corrupt data or an RLE decoding error.
+        console.warn(
+          `tdfRenderer: Invalid pair palette index ${index} (palette size ${pairPalette.length}) encountered for char ${charCode}. Using default cell (space, light grey/black).`,
+        );
+        cellData.push(0x20, 0x07); // Default to space, light grey on black, as a fallback.
+        continue;
       }
-
-      _parsedFontDetailsCache.set(fontDataOffsetInPool, details); // Cache successfully parsed details.
-      return details;
-    } catch (e) {
-      console.error(
-        `tdfRenderer: Error parsing font details for font at data pool offset ${fontDataOffsetInPool}:`,
-        e.message,
-      );
-      return null;
+      const pair = pairPalette[index];
+      cellData.push(pair.char, pair.attr);
+    }
+    // Prepend width & height to the flat cell data stream.
+    return [width, height, ...cellData];
+  } catch (e) {
+    console.error(
+      `tdfRenderer: Error parsing full glyph data for char ${charCode} (font "${fontHandle.key}"):`,
+      e.message,
+      e.stack, // Include stack for better debugging if available.
+    );
+    return null;
+  }
+}
+
+/**
+ * Resolves a glyph's stored cells into the (char, attr) pairs that are actually drawn.
+ * Color font cells keep their attributes. Block font cells are drawn in the chosen attribute.
+ * Outline font cells hold outline letters, which are mapped to CP437 characters of the chosen
+ * outline style and drawn in the chosen attribute. Foregrounds are then recolored by `glyphStyle.gradient`
+ * (if the glyph's position is given), and attributes by `glyphStyle.attributeMap`.
+ * @param {Array<number>} glyphCompactData - Parsed glyph data: [width, height, char1, attr1, ...].
+ * @param {object} fontDetails - Font details as returned by `_getOrParseFontDetails`.
+ * @param {{outlineStyle: number, attribute: number, attributeMap: Uint8Array | null, gradient: object | null}}
+ * glyphStyle - Styling for fonts without color attributes, and the recoloring of all fonts.
+ * @param {{glyphIndex: number, glyphCount: number, heightRows: number} | null} [gradientPosition=null] - Index of
+ * the glyph among the glyphs of its line, and the line's measurements from `_measureLineForGradient`.
+ * @returns {Array<number>} Glyph data in the same flat layout, ready for drawing.
+ */
+function _applyGlyphStyle(glyphCompactData, fontDetails, glyphStyle, gradientPosition = null) {
+  const { attributeMap } = glyphStyle;
+  const gradient = gradientPosition ? glyphStyle.gradient : null;
+  const isColorFont = fontDetails.type === TDF_COLOR_FONT_TYPE;
+  if (isColorFont && !attributeMap && !gradient) return glyphCompactData;
+
+  const outlineCharSet = fontDetails.type === TDF_OUTLINE_FONT_TYPE ? OutlineCharSets[glyphStyle.outlineStyle] : null;
+  const glyphWidthChars = glyphCompactData[0];
+  const styledData = glyphCompactData.slice();
+  for (let i = 2; i + 1 < styledData.length; i += 2) {
+    if (outlineCharSet) {
+      const letterIndex = styledData[i] - 0x41; // Outline letters start at 'A'.
+      styledData[i] = letterIndex >= 0 && letterIndex < outlineCharSet.length ? outlineCharSet[letterIndex] : 0x20;
     }
+    let attrByte = isColorFont ? styledData[i + 1] : glyphStyle.attribute;
+    if (gradient) {
+      const row = Math.floor((i - 2) / 2 / glyphWidthChars);
+      attrByte = (attrByte & 0xf0) | _gradientForeground(gradient, gradientPosition, row);
+    }
+    styledData[i + 1] = attributeMap ? attributeMap[attrByte] : attrByte;
+  }
+  return styledData;
+}
+
+/**
+ * Measures a line of text for the `gradient` render option: the number of glyphs drawn on it (characters
+ * other than spaces that the font defines) and the height of its tallest glyph.
+ * @param {FontHandle} fontHandle - The font, as stored in the font index.
+ * @param {string} lineText - The line of text.
+ * @returns {{glyphCount: number, heightRows: number}} Glyph count, and height in character cell units.
+ */
+function _measureLineForGradient(fontHandle, lineText) {
+  let glyphCount = 0;
+  let heightRows = 1;
+  for (let i = 0; i < lineText.length; i++) {
+    if (lineText[i] === " ") continue;
+    const glyphMetrics = _getGlyphLayoutMetricsOnly(fontHandle, lineText.charCodeAt(i));
+    if (glyphMetrics) {
+      glyphCount++;
+      heightRows = Math.max(heightRows, glyphMetrics.height);
+    }
+  }
+  return { glyphCount, heightRows };
+}
+
+/**
+ * Picks the foreground color of a glyph cell for the `gradient` render option. Rainbows step through the colors
+ * one glyph at a time; gradients blend between them in RGB and quantize the blend to the nearest of the 16 colors.
+ * @param {{mode: string, colors: number[]}} gradient - The resolved `gradient` option.
+ * @param {{glyphIndex: number, glyphCount: number, heightRows: number}} gradientPosition - See `_applyGlyphStyle`.
+ * @param {number} row - Row of the cell within its glyph.
+ * @returns {number} Foreground color index (0-15).
+ */
+function _gradientForeground(gradient, gradientPosition, row) {
+  const { colors } = gradient;
+  const { glyphIndex, glyphCount, heightRows } = gradientPosition;
+  if (gradient.mode === "rainbow") return colors[glyphIndex % colors.length];
+  if (colors.length === 1) return colors[0];
+
+  const t = gradient.mode === "vertical" ? row / Math.max(1, heightRows - 1) : glyphIndex / Math.max(1, glyphCount - 1);
+  const position = Math.min(t, 1) * (colors.length - 1);
+  const stop = Math.min(Math.floor(position), colors.length - 2);
+  const blend = position - stop;
+  const from = TdfColors[colors[stop]];
+  const to = TdfColors[colors[stop + 1]];
+
+  let nearestIndex = 0;
+  let nearestDistance = Number.POSITIVE_INFINITY;
+  TdfColors.forEach((color, index) => {
+    let distance = 0;
+    for (let c = 0; c < 3; c++) {
+      const difference = from[c] + (to[c] - from[c]) * blend - color[c];
+      distance += difference * difference;
+    }
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearestIndex = index;
+    }
+  });
+  return nearestIndex;
+}
+
+/**
+ * Validates the `gradient` render option.
+ * @param {string | {mode: string, colors?: number[]} | undefined} gradient - The option's value.
+ * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+ * @returns {{mode: string, colors: number[]} | null} The gradient with default colors filled in, or null if not given.
+ * @throws {Error} If the mode is unknown or the colors are not color indices.
+ */
+function _resolveGradient(gradient, apiName) {
+  if (typeof gradient === "undefined" || gradient === null) return null;
+  const spec = typeof gradient === "string" ? { mode: gradient } : gradient;
+  if (typeof spec !== "object" || !GradientModes.includes(spec.mode)) {
+    throw new Error(
+      `${apiName}: Expected 'gradient' to be one of ${GradientModes.join(", ")}, or an object with one of them as 'mode'.`,
+    );
+  }
+  const colors = spec.colors ?? (spec.mode === "rainbow" ? DefaultRainbowColors : DefaultGradientColors);
+  if (!Array.isArray(colors) || colors.length === 0 || !colors.every((c) => Number.isInteger(c) && c >= 0 && c <= 15)) {
+    throw new Error(`${apiName}: Expected 'gradient.colors' to be a non-empty array of color indices 0-15.`);
+  }
+  return { mode: spec.mode, colors };
+}
+
+/**
+ * Picks the attribute used to fill default (glyph-less) space characters.
+ * Color fonts use the first pair of their palette as a heuristic; other fonts use the chosen attribute.
+ * @param {object} fontDetails - Font details as returned by `_getOrParseFontDetails`.
+ * @param {{outlineStyle: number, attribute: number, attributeMap: Uint8Array | null, gradient: object | null}}
+ * glyphStyle - Styling for fonts without color attributes, and the recoloring of all fonts.
+ * @returns {number} The attribute byte whose background fills the space.
+ */
+function _getSpaceFillAttribute(fontDetails, glyphStyle) {
+  let attrByte = glyphStyle.attribute;
+  if (fontDetails.type === TDF_COLOR_FONT_TYPE) {
+    attrByte = fontDetails.pairPalette.length > 0 ? fontDetails.pairPalette[0].attr : 0x00;
+  }
+  return glyphStyle.attributeMap ? glyphStyle.attributeMap[attrByte] : attrByte;
+}
+
+/**
+ * Builds the lookup table that applies the `colorMap` render option to attribute bytes.
+ * @param {{foreground?: object, background?: object} | undefined} colorMap - Tables mapping foreground and background
+ * color indices (0-15) to the indices to draw instead. Indices that a table leaves out keep their color.
+ * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+ * @returns {Uint8Array | null} The recolored attribute byte for every attribute byte, or null if `colorMap` is not given.
+ * @throws {Error} If a table is not an object or array mapping indices 0-15 to indices 0-15.
+ */
+function _buildAttributeMap(colorMap, apiName) {
+  if (typeof colorMap === "undefined" || colorMap === null) return null;
+  if (typeof colorMap !== "object") {
+    throw new Error(`${apiName}: Expected 'colorMap' to be an object with 'foreground' and/or 'background' tables.`);
   }
 
-  /**
-   * Finds a glyph's data offset within its font's Glyph Data Table (GDT)
-   * using a binary search on the Glyph Lookup Table (GLT).
-   * @param {number} gltAbsOffset - Absolute start offset of the GLT in _bundleView.
-   * @param {number} glyphCount - Number of entries in the GLT.
-   * @param {number} charCode - The ASCII character code to search for.
-   * @returns {number} The glyph's data offset relative to its GDT base, or -1 if not found.
-   */
-  function _findGlyphOffsetInLookupTable(gltAbsOffset, glyphCount, charCode) {
-    let low = 0;
-    let high = glyphCount - 1;
-
-    while (low <= high) {
-      const mid = Math.floor((low + high) / 2);
-      const entryAbsOffset = gltAbsOffset + mid * 3; // Each GLT entry is 3 bytes.
-
-      // Safety check: ensure the GLT entry being accessed is within bundle bounds.
-      if (entryAbsOffset + 3 > _bundleView.byteLength) {
-        console.warn(`tdfRenderer: GLT entry search for charCode ${charCode} went out of bounds.`);
-        return -1; // Should not happen with valid GLT and glyphCount.
+  const readTable = (table, tableName) => {
+    const mapped = Array.from({ length: 16 }, (_, index) => index);
+    if (typeof table === "undefined") return mapped;
+    const error = new Error(`${apiName}: Expected 'colorMap.${tableName}' to map color indices 0-15 to 0-15.`);
+    if (table === null || typeof table !== "object") throw error;
+    for (const [from, to] of Object.entries(table)) {
+      const fromIndex = Number(from);
+      if (
+        !Number.isInteger(fromIndex) ||
+        fromIndex < 0 ||
+        fromIndex > 15 ||
+        !Number.isInteger(to) ||
+        to < 0 ||
+        to > 15
+      ) {
+        throw error;
       }
+      mapped[fromIndex] = to;
+    }
+    return mapped;
+  };
+  const foreground = readTable(colorMap.foreground, "foreground");
+  const background = readTable(colorMap.background, "background");
 
-      const entryCharCode = _bundleView.getUint8(entryAbsOffset);
-      if (entryCharCode === charCode) {
-        return _bundleView.getUint16(entryAbsOffset + 1, true); // Found: return 2-byte relative offset (Little Endian).
-      }
-      if (charCode < entryCharCode) {
-        high = mid - 1;
-      } else {
-        low = mid + 1;
+  const attributeMap = new Uint8Array(256);
+  for (let attrByte = 0; attrByte < 256; attrByte++) {
+    attributeMap[attrByte] = (background[attrByte >> 4] << 4) | foreground[attrByte & 0x0f];
+  }
+  return attributeMap;
+}
+
+// --- Utilities: Text Layout Calculation ---
+
+/**
+ * Validates the `kerning` render option.
+ * @param {string | undefined} kerning - The option's value; undefined means "none".
+ * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+ * @returns {string} One of `KerningModes`.
+ * @throws {Error} If the mode is unknown.
+ */
+function _resolveKerning(kerning, apiName) {
+  const mode = kerning ?? "none";
+  if (!KerningModes.includes(mode)) {
+    throw new Error(`${apiName}: Unknown kerning "${kerning}". Expected one of: ${KerningModes.join(", ")}.`);
+  }
+  return mode;
+}
+
+/**
+ * Resolves the spacing between glyphs from the font's spacing and the `kerning` and `letterSpacing` render options.
+ * @param {number} fontSpacingChars - The font's own spacing, in character cell units.
+ * @param {string} kerning - One of `KerningModes`; "fitted" and "smush" start from no spacing.
+ * @param {number | {adjust: number} | undefined} letterSpacing - The option's value: a number of cells replaces the
+ * spacing, `{adjust: n}` adds n cells to it. Either may be negative.
+ * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+ * @returns {number} Spacing between glyphs, in character cell units.
+ * @throws {Error} If the value is not an integer, or an object with an integer `adjust`.
+ */
+function _resolveLetterSpacing(fontSpacingChars, kerning, letterSpacing, apiName) {
+  const baseSpacingChars = kerning === "none" ? fontSpacingChars : 0;
+  if (typeof letterSpacing === "undefined" || letterSpacing === null) return baseSpacingChars;
+  if (Number.isInteger(letterSpacing)) return letterSpacing;
+  if (typeof letterSpacing === "object" && Number.isInteger(letterSpacing.adjust)) {
+    return baseSpacingChars + letterSpacing.adjust;
+  }
+  throw new Error(`${apiName}: Expected 'letterSpacing' to be an integer, or an object with an integer 'adjust'.`);
+}
+
+/**
+ * Finds where the non-padding cells of each row of a glyph begin and end.
+ * @param {Array<number>} glyphCompactData - Parsed (unstyled) glyph data: [width, height, char1, attr1, ...].
+ * @returns {Array<{first: number, last: number} | null>} Per row, the columns of the first and last cell that is
+ * not a padding pair, or null if the row holds only padding.
+ */
+function _getGlyphRowExtents(glyphCompactData) {
+  const [widthChars, heightRows] = glyphCompactData;
+  const extents = [];
+  for (let row = 0; row < heightRows; row++) {
+    let first = -1;
+    let last = -1;
+    for (let col = 0; col < widthChars; col++) {
+      const dataIndex = 2 + (row * widthChars + col) * 2;
+      if (dataIndex + 1 >= glyphCompactData.length) break;
+      if (glyphCompactData[dataIndex] !== PaddingCharByte || glyphCompactData[dataIndex + 1] !== PaddingAttrByte) {
+        if (first < 0) first = col;
+        last = col;
       }
     }
-    return -1; // Character code not found in GLT.
+    extents.push(first < 0 ? null : { first, last });
   }
+  return extents;
+}
+
+/**
+ * Positions the characters of a line of text, in character cell units. Without smushing, each character that has
+ * a width advances by that width plus `fontSpacingChars`, as the line is measured by `_calculateSingleLineLayout`.
+ * Negative spacing makes glyphs overlap, and later glyphs are drawn over earlier ones; a glyph still never starts
+ * left of the character before it, and spaces never overlap earlier glyphs, since their fill would hide them.
+ * With `kerning` "smush", each glyph then slides left until, in some row, its first non-padding cell touches the
+ * line drawn so far: columns overlap where one of the glyphs has only padding cells. A glyph never slides past the
+ * start of the glyph before it, nor into a space.
+ * @param {FontHandle} fontHandle - The font, as stored in the font index.
+ * @param {string} lineText - The line of text.
+ * @param {number} fontSpacingChars - Inter-character spacing, in character cell units; may be negative.
+ * @param {number} minSpaceWidthChars - Minimum width for space characters, in character cell units.
+ * @param {string} kerning - One of `KerningModes`. Only "smush" changes the positions; "fitted" is applied through
+ * `fontSpacingChars`.
+ * @returns {{positions: Array<{col: number, hiddenCells: Set<number> | null}>, widthChars: number}} For each
+ * character, its column, and the indices of the padding cells that must not be drawn because they overlap earlier
+ * glyphs (null if none); and the width of the line, up to the right edge of its last glyph.
+ */
+function _calculateGlyphPositions(fontHandle, lineText, fontSpacingChars, minSpaceWidthChars, kerning) {
+  const isSmushing = kerning === "smush";
+  const rowRightEdges = []; // Per row, the last column holding a non-padding cell so far (smushing only).
+  const positions = [];
+  let cursorCol = 0; // Where the next character starts without smushing.
+  let previousCol = 0; // Start of the last character that has a width.
+  let minCol = 0; // Smushed glyphs may not start left of this column.
+  let widthChars = 0;
+
+  for (let i = 0; i < lineText.length; i++) {
+    const char = lineText[i];
+    let col = Math.max(cursorCol, previousCol);
+    let glyphWidthChars = 0;
+    let hiddenCells = null;
 
-  /**
-   * Decodes an RLE (Run-Length Encoded) stream of pair palette indices.
-   * @param {number} rleStreamAbsOffset - Absolute offset in _bundleView where the RLE stream begins.
-   * @param {number} expectedNumCells - The total number of cells (width * height) expected to be decoded.
-   * @returns {Array<number> | null} An array of pair palette indices, or null if a critical error occurs.
-   */
-  function _decodeRLEStreamToPairIndices(rleStreamAbsOffset, expectedNumCells) {
-    const decodedIndices = [];
-    let currentOffset = rleStreamAbsOffset;
-    let cellsDecoded = 0;
-
-    while (cellsDecoded < expectedNumCells) {
-      if (currentOffset >= _bundleView.byteLength) {
-        console.warn("tdfRenderer: RLE stream ended prematurely before all cells were decoded.");
-        break; // Break and handle potential mismatch below.
-      }
-      const byteValue = _bundleView.getUint8(currentOffset++);
-
-      if (byteValue === RLE_ESCAPE_BYTE) {
-        // RLE sequence follows.
-        if (currentOffset + 2 > _bundleView.byteLength) {
-          // Need 2 more bytes for run_length_byte & index_to_repeat.
-          console.warn("tdfRenderer: RLE stream ended prematurely during an escape sequence.");
-          break;
-        }
-        const runLengthByte = _bundleView.getUint8(currentOffset++);
-        const indexToRepeat = _bundleView.getUint8(currentOffset++);
-        const actualRunLength = runLengthByte + RLE_MIN_RUN_LENGTH;
-
-        for (let k = 0; k < actualRunLength; k++) {
-          if (cellsDecoded + k < expectedNumCells) {
-            // Ensure we don't write past the expected number of cells.
-            decodedIndices.push(indexToRepeat);
-          } else {
-            // This indicates the RLE run would overflow the expected cell count.
-            console.warn("tdfRenderer: RLE run exceeds expected cell count. Truncating run.");
-            break; // Stop this run.
+    if (char === " ") {
+      const spaceMetrics = _getGlyphLayoutMetricsOnly(fontHandle, 32); // ASCII 32 for space.
+      glyphWidthChars = spaceMetrics && spaceMetrics.width > 0 ? spaceMetrics.width : minSpaceWidthChars;
+      col = Math.max(col, widthChars);
+      minCol = col + glyphWidthChars;
+    } else if (isSmushing) {
+      const glyphCompactData = parseGlyphDataOnDemand(fontHandle, char.charCodeAt(0));
+      if (glyphCompactData) {
+        glyphWidthChars = glyphCompactData[0];
+        const rowExtents = _getGlyphRowExtents(glyphCompactData);
+        let touchingCol = Number.NEGATIVE_INFINITY;
+        rowExtents.forEach((extent, row) => {
+          if (extent) touchingCol = Math.max(touchingCol, (rowRightEdges[row] ?? -1) + 1 - extent.first);
+        });
+        if (Number.isFinite(touchingCol)) col = Math.max(minCol, Math.min(col, touchingCol));
+
+        const overlapCols = widthChars - col; // Leading columns that lie over earlier glyphs.
+        for (let c = 0; c < glyphWidthChars * glyphCompactData[1] && overlapCols > 0; c++) {
+          const dataIndex = 2 + c * 2;
+          if (
+            c % glyphWidthChars < overlapCols &&
+            glyphCompactData[dataIndex] === PaddingCharByte &&
+            glyphCompactData[dataIndex + 1] === PaddingAttrByte
+          ) {
+            hiddenCells = hiddenCells || new Set();
+            hiddenCells.add(c);
           }
         }
-        cellsDecoded += actualRunLength;
-      } else {
-        // Literal pair palette index.
-        decodedIndices.push(byteValue);
-        cellsDecoded++;
+        rowExtents.forEach((extent, row) => {
+          if (extent) rowRightEdges[row] = Math.max(rowRightEdges[row] ?? -1, col + extent.last);
+        });
+        minCol = col;
       }
+    } else {
+      const glyphMetrics = _getGlyphLayoutMetricsOnly(fontHandle, char.charCodeAt(0));
+      glyphWidthChars = glyphMetrics ? glyphMetrics.width : 0;
     }
+    // Characters not defined in the font have no width, and contribute nothing.
 
-    // If the number of decoded cells doesn't match, adjust for robustness.
-    if (decodedIndices.length !== expectedNumCells) {
-      console.warn(
-        `tdfRenderer: RLE decoded cells count (${decodedIndices.length}) does not match expected count (${expectedNumCells}). Stream may be corrupt or have an issue. Adjusting to expected length.`,
-      );
-      // Create an array of the correct size, filling with decoded data or padding.
-      const result = new Array(expectedNumCells);
-      for (let i = 0; i < expectedNumCells; ++i) {
-        result[i] = decodedIndices[i] !== undefined ? decodedIndices[i] : 0; // Pad with index 0 (first pair) if too short.
-      }
-      return result;
+    positions.push({ col, hiddenCells });
+    if (glyphWidthChars > 0) {
+      widthChars = Math.max(widthChars, col + glyphWidthChars);
+      previousCol = col;
+    }
+    cursorCol = col + glyphWidthChars;
+    if (i < lineText.length - 1 && glyphWidthChars > 0) {
+      cursorCol += fontSpacingChars;
     }
-    return decodedIndices;
+  }
+  return { positions, widthChars };
+}
+
+/**
+ * Calculates layout metrics (pixel width, pixel height) for a single character.
+ * @param {FontHandle} fontHandle - The font, as stored in the font index.
+ * @param {string} char - The character to measure.
+ * @param {number} minSpaceWidthChars - Minimum width for a space character, in character cell units.
+ * @param {{width: number, height: number}} cellSize - Size of a character cell in pixels: a `CellFont`, or
+ * `UnitCellSize` to measure in cells.
+ * @returns {{widthPx: number, heightPx: number, isDefined: boolean}} Layout metrics.
+ */
+function _getCharLayoutMetrics(fontHandle, char, minSpaceWidthChars, cellSize) {
+  const charCode = char.charCodeAt(0);
+  let widthPx = 0;
+  let heightPx = cellSize.height; // Default line height.
+  let isDefined = false;
+  const glyphMetrics = _getGlyphLayoutMetricsOnly(fontHandle, charCode);
+
+  if (char === " ") {
+    // For space, attempt to use its defined metrics if available and it has positive width.
+    // Otherwise, fall back to the configurable minimum space width.
+    const spaceMetrics = _getGlyphLayoutMetricsOnly(fontHandle, 32); // ASCII 32 for space.
+    if (spaceMetrics && spaceMetrics.width > 0) {
+      widthPx = spaceMetrics.width * cellSize.width;
+      heightPx = Math.max(1, spaceMetrics.height) * cellSize.height; // Ensure height is at least 1 line.
+    } else {
+      widthPx = minSpaceWidthChars * cellSize.width;
+      // heightPx remains one cell high for default spaces.
+    }
+    isDefined = true; // Space is always considered "defined" for layout purposes.
+  } else if (glyphMetrics) {
+    // For non-space characters with defined metrics.
+    widthPx = glyphMetrics.width * cellSize.width;
+    heightPx = Math.max(1, glyphMetrics.height) * cellSize.height; // Ensure height is at least 1 line.
+    isDefined = true;
+  }
+  // If a non-space character is undefined (glyphMetrics is null),
+  // widthPx remains 0, heightPx is one cell high, and isDefined is false.
+  // Such characters will not contribute to layout width.
+  return { widthPx, heightPx, isDefined };
+}
+
+/**
+ * Calculates total pixel width and maximum pixel height for a single line of text.
+ * @param {FontHandle} fontHandle - The font, as stored in the font index.
+ * @param {number} fontSpacingChars - Inter-character spacing (in character cell units), obtained from font details.
+ * @param {string} textLine - The line of text to measure.
+ * @param {number} minSpaceWidthChars - Minimum width for space characters (in character cell units).
+ * @param {{width: number, height: number}} cellSize - Size of a character cell in pixels: a `CellFont`, or
+ * `UnitCellSize` to measure in cells.
+ * @param {string} [kerning="none"] - One of `KerningModes`. Smushed lines, and lines with negative spacing, are
+ * measured by `_calculateGlyphPositions`.
+ * @returns {{width: number, height: number}} Calculated width and height of the line in pixels.
+ */
+function _calculateSingleLineLayout(
+  fontHandle,
+  fontSpacingChars,
+  textLine,
+  minSpaceWidthChars,
+  cellSize,
+  kerning = "none",
+) {
+  if (!textLine) {
+    return { width: 0, height: cellSize.height }; // An empty line still occupies default character height.
   }
 
-  /**
-   * Retrieves a glyph's declared width and actual height for layout calculations.
-   * This does not parse the full cell stream.
-   * @param {number} fontDataOffsetInPool - Offset of the font's data in the Font Data Pool.
-   * @param {number} charCode - The ASCII character code of the glyph.
-   * @returns {{width: number, height: number} | null} Object with `width` (in cells) and `height` (in lines), or null if not found or error.
-   */
-  function _getGlyphLayoutMetricsOnly(fontDataOffsetInPool, charCode) {
-    const fontDetails = _getOrParseFontDetails(fontDataOffsetInPool);
-    if (!fontDetails) return null;
-
-    const { glyphCount, gltAbsOffset, gdtBaseAbsOffset } = fontDetails;
-    if (glyphCount === 0) return null; // Font has no glyphs.
+  let lineWidthPx = 0;
+  let maxLineHeightPx = 0;
+  let glyphsContributingToSpacing = 0; // Count of glyphs that affect inter-character spacing.
 
-    const glyphDataRelOffset = _findGlyphOffsetInLookupTable(gltAbsOffset, glyphCount, charCode);
-    if (glyphDataRelOffset === -1) return null; // Glyph not defined.
+  for (let i = 0; i < textLine.length; i++) {
+    const metrics = _getCharLayoutMetrics(fontHandle, textLine[i], minSpaceWidthChars, cellSize);
+    lineWidthPx += metrics.widthPx;
+    maxLineHeightPx = Math.max(maxLineHeightPx, metrics.heightPx);
 
-    const glyphSpecificDataAbsOffset = gdtBaseAbsOffset + glyphDataRelOffset;
-    // Ensure width and height bytes are readable from the GDT.
-    if (glyphSpecificDataAbsOffset + 2 > _bundleView.byteLength) {
-      console.warn(
-        `tdfRenderer: Insufficient data for glyph metrics (char ${charCode}) at GDT offset ${glyphSpecificDataAbsOffset}.`,
-      );
-      return null;
+    // A glyph contributes to inter-glyph spacing if it has positive width or is a space
+    // (even if the space's defined width is 0, it still acts as a separator).
+    if (metrics.widthPx > 0 || textLine[i] === " ") {
+      glyphsContributingToSpacing++;
     }
+  }
 
-    const width = _bundleView.getUint8(glyphSpecificDataAbsOffset);
-    const height = _bundleView.getUint8(glyphSpecificDataAbsOffset + 1);
-    return { width, height };
+  // Add inter-character spacing if more than one such glyph exists on the line.
+  if (glyphsContributingToSpacing > 1) {
+    lineWidthPx += (glyphsContributingToSpacing - 1) * (fontSpacingChars * cellSize.width);
+  }
+  if (kerning === "smush" || fontSpacingChars < 0) {
+    const { widthChars } = _calculateGlyphPositions(
+      fontHandle,
+      textLine,
+      fontSpacingChars,
+      minSpaceWidthChars,
+      kerning,
+    );
+    lineWidthPx = widthChars * cellSize.width;
   }
 
-  /**
-   * Parses a TDF glyph's full data, including RLE decoding and mapping indices to (char, attr) pairs.
-   * The returned array is flat: [width, height, char1, attr1, char2, attr2, ...].
-   * @param {number} fontDataOffsetInPool - Offset of the font's data in the Font Data Pool.
-   * @param {number} charCode - The ASCII character code of the glyph.
-   * @returns {Array<number> | null} Parsed glyph data, or null on error.
-   */
-  function parseGlyphDataOnDemand(fontDataOffsetInPool, charCode) {
-    const fontDetails = _getOrParseFontDetails(fontDataOffsetInPool);
-    if (!fontDetails) {
-      console.error(
-        `tdfRenderer: Failed to get font details for font offset ${fontDataOffsetInPool} when parsing glyph.`,
-      );
-      return null;
+  // Ensure the line has at least a minimal width/height if it contained any characters.
+  return {
+    width: Math.max(lineWidthPx, textLine.length > 0 ? cellSize.width : 0), // Min width of one cell if content.
+    height: Math.max(maxLineHeightPx, cellSize.height), // Min height of one cell.
+  };
+}
+
+/**
+ * Validates the `maxWidth` render option and converts it to character cells.
+ * @param {number | {cols: number} | undefined} maxWidth - The option's value: a width in pixels of `cellSize`, or
+ * a number of columns (character cells).
+ * @param {{width: number, height: number}} cellSize - Size of a character cell in pixels.
+ * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+ * @returns {number | null} The width in whole cells (at least one), or null if the option is not given.
+ * @throws {Error} If the value is not a positive number, or an object with a positive integer `cols`.
+ */
+function _resolveMaxWidth(maxWidth, cellSize, apiName) {
+  if (typeof maxWidth === "undefined" || maxWidth === null) return null;
+  if (typeof maxWidth === "number" && Number.isFinite(maxWidth) && maxWidth > 0) {
+    return Math.max(1, Math.floor(maxWidth / cellSize.width));
+  }
+  if (typeof maxWidth === "object" && Number.isInteger(maxWidth.cols) && maxWidth.cols > 0) {
+    return maxWidth.cols;
+  }
+  throw new Error(`${apiName}: Expected 'maxWidth' to be a positive number of pixels, or an object with 'cols'.`);
+}
+
+/**
+ * Wraps text so that no line is wider than `maxWidthChars`. Lines break between words, dropping the spaces at the
+ * break; a word that does not fit on a line of its own is broken between characters. Explicit line breaks are
+ * kept. Lines are measured by `_calculateSingleLineLayout`, so the spacing options are taken into account.
+ * @param {string} text - The text, with '\n' between lines.
+ * @param {number} maxWidthChars - Maximum line width, in character cell units.
+ * @param {FontHandle} fontHandle - The font, as stored in the font index.
+ * @param {number} fontSpacingChars - Inter-character spacing, in character cell units.
+ * @param {number} minSpaceWidthChars - Minimum width for space characters, in character cell units.
+ * @param {string} kerning - One of `KerningModes`.
+ * @returns {string[]} The wrapped lines.
+ */
+function _wrapText(text, maxWidthChars, fontHandle, fontSpacingChars, minSpaceWidthChars, kerning) {
+  const fits = (line) =>
+    _calculateSingleLineLayout(fontHandle, fontSpacingChars, line, minSpaceWidthChars, UnitCellSize, kerning).width <=
+    maxWidthChars;
+  const wrappedLines = [];
+
+  for (const line of text.split("\n")) {
+    let currentLine = null; // Null until something has been placed on the current line.
+    let isWrapped = false; // True once a break has been inserted into this line of text.
+    for (const word of line.split(" ")) {
+      if (word === "" && currentLine === null && isWrapped) continue; // Wrapped lines do not start with spaces.
+      const candidate = currentLine === null ? word : `${currentLine} ${word}`;
+      if (fits(candidate)) {
+        currentLine = candidate;
+        continue;
+      }
+      const finishedLine = (currentLine ?? "").replace(/ +$/, "");
+      if (finishedLine) wrappedLines.push(finishedLine);
+      isWrapped = true;
+      // Start a new line with the word, breaking it wherever it does not fit.
+      currentLine = null;
+      for (const char of word) {
+        if (currentLine !== null && !fits(currentLine + char)) {
+          wrappedLines.push(currentLine);
+          currentLine = null;
+        }
+        currentLine = (currentLine ?? "") + char;
+      }
     }
+    if (currentLine !== null || !isWrapped) wrappedLines.push(currentLine ?? "");
+  }
+  return wrappedLines;
+}
+
+// --- Utilities: Text Rendering on Canvas ---
+
+/**
+ * Resolves the `palette` render option into 16 RGBA colors.
+ * @param {string | Array<Array<number>> | undefined} palette - Name of a palette in `TdfPalettes`, or 16 [r, g, b, a]
+ * colors with components from 0 to 255. Defaults to the VGA colors.
+ * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+ * @returns {Array<Array<number>>} The palette's colors, indexed by DOS color index.
+ * @throws {Error} If the palette name is unknown or the colors are malformed.
+ */
+function _resolvePalette(palette, apiName) {
+  if (typeof palette === "undefined") return TdfColors;
+  if (typeof palette === "string") {
+    if (!Object.hasOwn(TdfPalettes, palette)) {
+      throw new Error(`${apiName}: Unknown palette "${palette}". Available: ${Object.keys(TdfPalettes).join(", ")}.`);
+    }
+    return TdfPalettes[palette];
+  }
+  const isRgba = (color) =>
+    Array.isArray(color) &&
+    color.length === 4 &&
+    color.every((component) => Number.isInteger(component) && component >= 0 && component <= 255);
+  if (!Array.isArray(palette) || palette.length !== 16 || !palette.every(isRgba)) {
+    throw new Error(`${apiName}: Expected 'palette' to be a palette name or 16 [r, g, b, a] colors.`);
+  }
+  return palette;
+}
+
+/**
+ * Looks up the RGBA colors of a color attribute byte. The background color comes from bits 4-6; bit 7 either
+ * selects the bright background colors (iCE colors) or, as in DOS text mode by default, blinking.
+ * @param {number} attrByte - Color attribute byte.
+ * @param {{iceColors: boolean, palette: Array<Array<number>>}} colorStyle - Color options for canvas output.
+ * @returns {{fgColor: Array<number>, bgColor: Array<number>}} Foreground and background colors as [r, g, b, a].
+ */
+function _attributeToRgba(attrByte, colorStyle) {
+  const bgIndex = (attrByte >> 4) & (colorStyle.iceColors ? 0x0f : 0x07);
+  const fgIndex = attrByte & 0x0f;
+  return { fgColor: colorStyle.palette[fgIndex], bgColor: colorStyle.palette[bgIndex] };
+}
+
+/**
+ * Renders a single TDF glyph (represented as a dense grid of cells) onto the canvas.
+ * The input `glyphCompactData` is a flat array: [width, height, char1, attr1, char2, attr2, ...].
+ * @param {CanvasRenderingContext2D} context - The canvas rendering context.
+ * @param {Array<number>} glyphCompactData - Parsed glyph data.
+ * @param {number} baseX - Starting X coordinate on canvas for the top-left of this TDF glyph.
+ * @param {number} baseY - Starting Y coordinate on canvas for the top-left of this TDF glyph.
+ * @param {{iceColors: boolean, palette: Array<Array<number>>, blinkCells: Array<object> | null}} colorStyle - Color
+ * options for canvas output.
+ * If `blinkCells` is an array, cells with attribute bit 7 set are added to it (see `_startBlinking`).
+ * @param {CellFont} cellFont - The bitmap font the glyph's cells are drawn with.
+ * @param {Set<number> | null} [hiddenCells=null] - Indices of cells to leave undrawn, see `_calculateGlyphPositions`.
+ */
+function _renderTdfGlyphOnCanvas(context, glyphCompactData, baseX, baseY, colorStyle, cellFont, hiddenCells = null) {
+  if (!glyphCompactData || glyphCompactData.length < 2) {
+    console.warn("tdfRenderer: Attempted to render glyph with insufficient compact data (missing width/height).");
+    return;
+  }
 
-    const { glyphCount, gltAbsOffset, gdtBaseAbsOffset, pairPalette } = fontDetails;
-    if (glyphCount === 0) return null; // Font contains no glyph definitions.
+  const glyphWidthChars = glyphCompactData[0];
+  const glyphHeightLines = glyphCompactData[1];
+  const expectedCells = glyphWidthChars * glyphHeightLines;
 
-    const glyphDataRelOffset = _findGlyphOffsetInLookupTable(gltAbsOffset, glyphCount, charCode);
-    if (glyphDataRelOffset === -1) return null; // Glyph for this charCode is not defined in this font.
+  // Cell data starts at index 2 of glyphCompactData. Each cell uses 2 array items (char, attr).
+  if (glyphCompactData.length < 2 + expectedCells * 2 && expectedCells > 0) {
+    console.warn(
+      `tdfRenderer: Glyph compact data stream is shorter (${glyphCompactData.length - 2} items) than expected by width*height (${expectedCells * 2} items). Glyph rendering may be truncated.`,
+    );
+    // Proceed to render what's available, up to the shorter length.
+  }
 
-    const glyphSpecificDataAbsOffset = gdtBaseAbsOffset + glyphDataRelOffset;
+  for (let i = 0; i < expectedCells; i++) {
+    const dataIndex = 2 + i * 2;
+    // Ensure we don't read past the end of available cell data.
+    if (dataIndex + 1 >= glyphCompactData.length) break;
+    if (hiddenCells?.has(i)) continue;
 
-    try {
-      // Read Width and Height for the glyph.
-      if (glyphSpecificDataAbsOffset + 2 > _bundleView.byteLength) throw new Error("EOF reading glyph width/height.");
-      const width = _bundleView.getUint8(glyphSpecificDataAbsOffset);
-      const height = _bundleView.getUint8(glyphSpecificDataAbsOffset + 1);
-      const rleStreamAbsOffset = glyphSpecificDataAbsOffset + 2; // RLE stream follows width & height.
-      const expectedNumCells = width * height;
-
-      if (expectedNumCells === 0) {
-        // Glyph has no cells (e.g., width or height is 0). This is valid.
-        return [width, height]; // Return dimensions with an empty cell stream.
-      }
+    const charByte = glyphCompactData[dataIndex];
+    const attrByte = glyphCompactData[dataIndex + 1];
 
-      const decodedIndices = _decodeRLEStreamToPairIndices(rleStreamAbsOffset, expectedNumCells);
-      if (!decodedIndices) {
-        throw new Error(`Failed to decode RLE stream for char ${charCode}.`);
-      }
+    // Calculate cell's position within the glyph's own grid.
+    const currentGlyphCellX = i % glyphWidthChars;
+    const currentGlyphCellY = Math.floor(i / glyphWidthChars);
 
-      // Map decoded pair palette indices back to [char, attr] pairs.
-      const cellData = []; // Will store [char1, attr1, char2, attr2, ...]
-      for (const index of decodedIndices) {
-        if (index >= pairPalette.length) {
-          // This indicates an invalid index, possibly due to corrupt data or an RLE decoding error.
-          console.warn(
-            `tdfRenderer: Invalid pair palette index ${index} (palette size ${pairPalette.length}) encountered for char ${charCode}. Using default cell (space, light grey/black).`,
-          );
-          cellData.push(0x20, 0x07); // Default to space, light grey on black, as a fallback.
-          continue;
-        }
-        const pair = pairPalette[index];
-        cellData.push(pair.char, pair.attr);
-      }
-      // Prepend width & height to the flat cell data stream.
-      return [width, height, ...cellData];
-    } catch (e) {
-      console.error(
-        `tdfRenderer: Error parsing full glyph data for char ${charCode} (font offset ${fontDataOffsetInPool}):`,
-        e.message,
-        e.stack, // Include stack for better debugging if available.
-      );
-      return null;
+    // Calculate the absolute canvas position for this cell.
+    const canvasX = baseX + currentGlyphCellX * cellFont.width;
+    const canvasY = baseY + currentGlyphCellY * cellFont.height;
+
+    const { fgColor, bgColor } = _attributeToRgba(attrByte, colorStyle);
+    drawCp437Char(context, charByte, canvasX, canvasY, fgColor, bgColor, cellFont);
+    if (colorStyle.blinkCells && attrByte & 0x80) {
+      colorStyle.blinkCells.push({ charByte, x: canvasX, y: canvasY, fgColor, bgColor });
     }
   }
-
-  // --- Utilities: Text Layout Calculation ---
-
-  /**
-   * Calculates layout metrics (pixel width, pixel height) for a single character.
-   * @param {number} fontDataOffsetInPool - Offset of the font's data.
-   * @param {string} char - The character to measure.
-   * @param {number} minSpaceWidthChars - Minimum width for a space character, in character cell units.
-   * @returns {{widthPx: number, heightPx: number, isDefined: boolean}} Layout metrics.
-   */
-  function _getCharLayoutMetrics(fontDataOffsetInPool, char, minSpaceWidthChars) {
+}
+
+/**
+ * Renders a single line of text onto the canvas at a specified X, Y.
+ */
+function _renderLine(
+  context,
+  lineText,
+  lineBaseY,
+  lineStartX,
+  fontHandle,
+  fontSpacingChars,
+  minSpaceWidthChars,
+  glyphStyle,
+  colorStyle,
+  cellFont,
+  kerning,
+) {
+  const fontDetails = _getOrParseFontDetails(fontHandle);
+  const lineMeasure = glyphStyle.gradient ? _measureLineForGradient(fontHandle, lineText) : null;
+  const { positions } = _calculateGlyphPositions(fontHandle, lineText, fontSpacingChars, minSpaceWidthChars, kerning);
+  let glyphIndex = 0; // Counts the glyphs drawn so far, for gradients.
+
+  for (let i = 0; i < lineText.length; i++) {
+    const char = lineText[i];
     const charCode = char.charCodeAt(0);
-    let widthPx = 0;
-    let heightPx = CharHeight; // Default line height.
-    let isDefined = false;
-    const glyphMetrics = _getGlyphLayoutMetricsOnly(fontDataOffsetInPool, charCode);
+    const currentX = lineStartX + positions[i].col * cellFont.width; // X position on the canvas for drawing.
+    let glyphRenderWidthPx = 0; // Pixel width of the current character's glyph.
+    let glyphCompactData = null;
+
+    // Fetch glyph data unless it's a space (which might be handled differently).
+    glyphCompactData = char === " " ? null : parseGlyphDataOnDemand(fontHandle, charCode);
+    if (glyphCompactData && fontDetails) {
+      const gradientPosition = lineMeasure && { glyphIndex: glyphIndex++, ...lineMeasure };
+      glyphCompactData = _applyGlyphStyle(glyphCompactData, fontDetails, glyphStyle, gradientPosition);
+    }
 
     if (char === " ") {
-      // For space, attempt to use its defined metrics if available and it has positive width.
-      // Otherwise, fall back to the configurable minimum space width.
-      const spaceMetrics = _getGlyphLayoutMetricsOnly(fontDataOffsetInPool, 32); // ASCII 32 for space.
-      if (spaceMetrics && spaceMetrics.width > 0) {
-        widthPx = spaceMetrics.width * CharWidth;
-        heightPx = Math.max(1, spaceMetrics.height) * CharHeight; // Ensure height is at least 1 line.
-      } else {
-        widthPx = minSpaceWidthChars * CharWidth;
-        // heightPx remains CharHeight for default spaces.
+      const spaceMetrics = _getGlyphLayoutMetricsOnly(fontHandle, 32); // ASCII 32 for space.
+      glyphRenderWidthPx =
+        spaceMetrics && spaceMetrics.width > 0
+          ? spaceMetrics.width * cellFont.width // Use defined width if space has one.
+          : minSpaceWidthChars * cellFont.width; // Otherwise, use default minimum.
+
+      // If the space character has a specific glyph defined (rare, but possible), render it.
+      // Also ensure it has a positive width to be rendered.
+      if (glyphCompactData && glyphCompactData.length > 2 && spaceMetrics && spaceMetrics.width > 0) {
+        _renderTdfGlyphOnCanvas(context, glyphCompactData, currentX, lineBaseY, colorStyle, cellFont);
+      } else if (glyphRenderWidthPx > 0) {
+        // For default spaces or spaces without complex glyphs, just fill the background.
+        // Determine a suitable background color from the font (see _getSpaceFillAttribute), or default to black.
+        const defaultBgColor = fontDetails
+          ? _attributeToRgba(_getSpaceFillAttribute(fontDetails, glyphStyle), colorStyle).bgColor
+          : colorStyle.palette[0];
+        context.fillStyle = `rgba(${defaultBgColor.join(",")})`;
+        context.fillRect(Math.floor(currentX), Math.floor(lineBaseY), Math.ceil(glyphRenderWidthPx), cellFont.height);
+      }
+    } else if (glyphCompactData) {
+      // For non-space characters with successfully parsed glyph data.
+      if (glyphCompactData.length > 2) {
+        // Check if there's actual cell data beyond width/height.
+        const { hiddenCells } = positions[i];
+        _renderTdfGlyphOnCanvas(context, glyphCompactData, currentX, lineBaseY, colorStyle, cellFont, hiddenCells);
       }
-      isDefined = true; // Space is always considered "defined" for layout purposes.
-    } else if (glyphMetrics) {
-      // For non-space characters with defined metrics.
-      widthPx = glyphMetrics.width * CharWidth;
-      heightPx = Math.max(1, glyphMetrics.height) * CharHeight; // Ensure height is at least 1 line.
-      isDefined = true;
     }
-    // If a non-space character is undefined (glyphMetrics is null),
-    // widthPx remains 0, heightPx is CharHeight, and isDefined is false.
-    // Such characters will not contribute to layout width.
-    return { widthPx, heightPx, isDefined };
+    // If glyphCompactData is null for a non-space char, it means the character is not defined
+    // in the font. It contributes nothing to the line, and the next character starts at the same position.
+  }
+}
+
+/**
+ * Renders a line of text with specified alignment within a text block of a given width.
+ * @returns {number} The pixel height of the rendered line (max height of glyphs in it).
+ */
+function _renderLineWithAlignment(
+  context,
+  lineText,
+  lineBaseY, // Y-coordinate for the top of this line.
+  textBlockStartX, // X-coordinate for the start of the overall text block (for alignment).
+  textBlockWidthPx, // Total width available for this line's alignment.
+  textAlign,
+  fontHandle,
+  fontSpacingChars,
+  minSpaceWidthChars,
+  glyphStyle, // Outline style and attribute for fonts without color attributes.
+  colorStyle, // Palette, iCE colors and blinking cells, see _renderTdfGlyphOnCanvas.
+  cellFont, // Bitmap font for the character cells.
+  kerning, // One of KerningModes.
+) {
+  // Calculate the natural layout of this specific line.
+  const lineLayout = _calculateSingleLineLayout(
+    fontHandle,
+    fontSpacingChars,
+    lineText,
+    minSpaceWidthChars,
+    cellFont,
+    kerning,
+  );
+  const currentLineWidthPx = lineLayout.width;
+  const currentLineHeightPx = lineLayout.height; // This is the max height of glyphs in this line.
+
+  let lineIndentPx = 0; // Horizontal indentation of this line within the text block.
+  if (textAlign === "center") {
+    lineIndentPx = Math.max(0, Math.floor((textBlockWidthPx - currentLineWidthPx) / 2));
+  } else if (textAlign === "right") {
+    lineIndentPx = Math.max(0, textBlockWidthPx - currentLineWidthPx);
   }
+  // For 'left' alignment, lineIndentPx remains 0.
 
-  /**
-   * Calculates total pixel width and maximum pixel height for a single line of text.
-   * @param {number} fontDataOffsetInPool - Offset of the font's data.
-   * @param {number} fontSpacingChars - Inter-character spacing (in character cell units), obtained from font details.
-   * @param {string} textLine - The line of text to measure.
-   * @param {number} minSpaceWidthChars - Minimum width for space characters (in character cell units).
-   * @returns {{width: number, height: number}} Calculated width and height of the line in pixels.
-   */
-  function _calculateSingleLineLayout(fontDataOffsetInPool, fontSpacingChars, textLine, minSpaceWidthChars) {
-    if (!textLine) {
-      return { width: 0, height: CharHeight }; // An empty line still occupies default character height.
-    }
+  const lineRenderStartXOnCanvas = textBlockStartX + lineIndentPx;
 
-    let lineWidthPx = 0;
-    let maxLineHeightPx = 0;
-    let glyphsContributingToSpacing = 0; // Count of glyphs that affect inter-character spacing.
+  _renderLine(
+    context,
+    lineText,
+    lineBaseY,
+    lineRenderStartXOnCanvas,
+    fontHandle,
+    fontSpacingChars,
+    minSpaceWidthChars,
+    glyphStyle,
+    colorStyle,
+    cellFont,
+    kerning,
+  );
+  // Return the calculated height of this line, used by the caller to advance the Y position.
+  return currentLineHeightPx;
+}
+
+// --- Utilities: Blinking ---
+
+// Stop functions of running blink animations, keyed by canvas, so that rendering onto a canvas again
+// stops the animation of its previous content.
+const _blinkAnimations = new WeakMap();
+
+/**
+ * Stops the blink animation running on a canvas, if any.
+ * @param {HTMLCanvasElement | undefined} canvas - The canvas.
+ */
+function _stopBlinking(canvas) {
+  const stop = canvas ? _blinkAnimations.get(canvas) : undefined;
+  if (stop) stop();
+}
+
+/**
+ * Starts blinking cells on a canvas: every `BlinkIntervalMs`, their characters are hidden (drawn in the
+ * background color) or shown again.
+ * @param {CanvasRenderingContext2D} context - The canvas rendering context the cells were drawn with.
+ * @param {HTMLCanvasElement} canvas - The canvas.
+ * @param {Array<{charByte: number, x: number, y: number, fgColor: Array<number>, bgColor: Array<number>}> | null}
+ * blinkCells - The cells to blink, as collected by `_renderTdfGlyphOnCanvas`.
+ * @param {CellFont} cellFont - The bitmap font the cells were drawn with.
+ * @param {function(HTMLCanvasElement, boolean): void} [onBlink] - Called after each change with the canvas and
+ * whether the blinking characters are shown.
+ * @returns {function(): void} Stops the animation, leaving the characters shown. Does nothing if no cells blink.
+ */
+function _startBlinking(context, canvas, blinkCells, cellFont, onBlink) {
+  if (!blinkCells || blinkCells.length === 0 || typeof setInterval !== "function") {
+    return () => {};
+  }
 
-    for (let i = 0; i < textLine.length; i++) {
-      const metrics = _getCharLayoutMetrics(fontDataOffsetInPool, textLine[i], minSpaceWidthChars);
-      lineWidthPx += metrics.widthPx;
-      maxLineHeightPx = Math.max(maxLineHeightPx, metrics.heightPx);
+  let shown = true;
+  const drawPhase = (show) => {
+    shown = show;
+    for (const cell of blinkCells) {
+      const fgColor = show ? cell.fgColor : cell.bgColor;
+      drawCp437Char(context, cell.charByte, cell.x, cell.y, fgColor, cell.bgColor, cellFont);
+    }
+    if (typeof onBlink === "function") onBlink(canvas, show);
+  };
 
-      // A glyph contributes to inter-glyph spacing if it has positive width or is a space
-      // (even if the space's defined width is 0, it still acts as a separator).
-      if (metrics.widthPx > 0 || textLine[i] === " ") {
-        glyphsContributingToSpacing++;
+  const timer = setInterval(() => drawPhase(!shown), BlinkIntervalMs);
+  const stop = () => {
+    if (_blinkAnimations.get(canvas) !== stop) return; // Already stopped.
+    clearInterval(timer);
+    _blinkAnimations.delete(canvas);
+    if (!shown) drawPhase(true);
+  };
+  _blinkAnimations.set(canvas, stop);
+  return stop;
+}
+
+// --- Utilities: Text Layout on a Cell Grid ---
+
+/**
+ * Writes a single cell into a cell grid, ignoring positions outside the grid.
+ * @param {Array<Array<{char: number, attr: number} | null>>} cells - Grid rows.
+ * @param {number} col - Column of the cell.
+ * @param {number} row - Row of the cell.
+ * @param {number} charByte - CP437 character code.
+ * @param {number} attrByte - Color attribute byte.
+ * @param {{steps: Array<Array<number>>, next: number} | null} [reveal] - If given, the cell's reveal step
+ * (`reveal.next`) is recorded in `reveal.steps`.
+ */
+function _setGridCell(cells, col, row, charByte, attrByte, reveal = null) {
+  if (row < 0 || row >= cells.length || col < 0 || col >= cells[row].length) return;
+  cells[row][col] = { char: charByte, attr: attrByte };
+  if (reveal) reveal.steps[row][col] = reveal.next;
+}
+
+/**
+ * Places a single line of text onto a cell grid. This mirrors `_renderLine`, in character cell units
+ * instead of pixels. Cells that no glyph covers are left untouched.
+ * @param {Array<Array<{char: number, attr: number} | null>>} cells - Grid rows to write into.
+ * @param {string} lineText - The line of text to place.
+ * @param {number} lineTopRow - Grid row of the top of this line.
+ * @param {number} lineStartCol - Grid column where this line starts.
+ * @param {FontHandle} fontHandle - The font, as stored in the font index.
+ * @param {number} fontSpacingChars - Inter-character spacing, in character cell units.
+ * @param {number} minSpaceWidthChars - Minimum width for space characters, in character cell units.
+ * @param {{outlineStyle: number, attribute: number, attributeMap: Uint8Array | null, gradient: object | null}}
+ * glyphStyle - Styling for fonts without color attributes, and the recoloring of all fonts.
+ * @param {string} kerning - One of `KerningModes`, see `_calculateGlyphPositions`.
+ * @param {{steps: Array<Array<number>>, next: number} | null} [reveal] - If given, records for each cell the
+ * number of glyphs placed before it (its step in a typed-out reveal), and counts the placed glyphs in `next`.
+ * Spaces get the step of the glyph that follows them.
+ */
+function _placeLineOnCellGrid(
+  cells,
+  lineText,
+  lineTopRow,
+  lineStartCol,
+  fontHandle,
+  fontSpacingChars,
+  minSpaceWidthChars,
+  glyphStyle,
+  kerning,
+  reveal = null,
+) {
+  const fontDetails = _getOrParseFontDetails(fontHandle);
+  const lineMeasure = glyphStyle.gradient ? _measureLineForGradient(fontHandle, lineText) : null;
+  const { positions } = _calculateGlyphPositions(fontHandle, lineText, fontSpacingChars, minSpaceWidthChars, kerning);
+  let glyphIndex = 0; // Counts the glyphs placed so far, for gradients.
+
+  for (let i = 0; i < lineText.length; i++) {
+    const char = lineText[i];
+    const currentCol = lineStartCol + positions[i].col;
+    let glyphWidthChars = 0;
+
+    if (char === " ") {
+      const spaceMetrics = _getGlyphLayoutMetricsOnly(fontHandle, 32); // ASCII 32 for space.
+      glyphWidthChars = spaceMetrics && spaceMetrics.width > 0 ? spaceMetrics.width : minSpaceWidthChars;
+      // As on the canvas, a space fills one row with the font's background color, bit 7 (iCE colors) included.
+      const fillAttr = fontDetails ? _getSpaceFillAttribute(fontDetails, glyphStyle) & 0xf0 : 0x00;
+      for (let x = 0; x < glyphWidthChars; x++) {
+        _setGridCell(cells, currentCol + x, lineTopRow, 0x20, fillAttr, reveal);
+      }
+    } else {
+      let glyphCompactData = parseGlyphDataOnDemand(fontHandle, char.charCodeAt(0));
+      if (glyphCompactData) {
+        if (fontDetails) {
+          const gradientPosition = lineMeasure && { glyphIndex: glyphIndex++, ...lineMeasure };
+          glyphCompactData = _applyGlyphStyle(glyphCompactData, fontDetails, glyphStyle, gradientPosition);
+        }
+        glyphWidthChars = glyphCompactData[0];
+        const expectedCells = glyphWidthChars * glyphCompactData[1];
+        const { hiddenCells } = positions[i];
+        for (let c = 0; c < expectedCells && 3 + c * 2 < glyphCompactData.length; c++) {
+          if (hiddenCells?.has(c)) continue;
+          _setGridCell(
+            cells,
+            currentCol + (c % glyphWidthChars),
+            lineTopRow + Math.floor(c / glyphWidthChars),
+            glyphCompactData[2 + c * 2],
+            glyphCompactData[3 + c * 2],
+            reveal,
+          );
+        }
+        if (reveal) reveal.next++;
       }
+      // Characters not defined in the font contribute nothing, as in _renderLine.
     }
+  }
+}
+
+/**
+ * Lays out text on a grid of character cells, using the same line measurement and alignment as `render`.
+ * Lines are separated by `lineSpacingRows` empty rows.
+ * @param {object} resolved - Parameters as returned by `_resolveRenderOptions`.
+ * @param {number} lineSpacingRows - Number of empty rows to insert between lines of text.
+ * @param {boolean} [trackReveal=false] - If true, the grid also has `revealSteps`, the step at which each cell
+ * appears when the text is typed out glyph by glyph (see `_placeLineOnCellGrid`), and `revealStepCount`, the
+ * number of glyphs.
+ * @returns {{width: number, height: number, cells: Array<Array<{char: number, attr: number} | null>>,
+ * revealSteps?: Array<Array<number>>, revealStepCount?: number}} Grid dimensions in cells and its rows; `null`
+ * marks cells that no glyph covers.
+ */
+function _layoutTextOnCellGrid(resolved, lineSpacingRows, trackReveal = false) {
+  const { text, fontHandle, fontSpacingChars, minSpaceWidthChars, textAlign, glyphStyle, kerning } = resolved;
+  const lines = text ? text.split("\n") : [""];
+
+  // Measure every line in cells.
+  const lineLayouts = lines.map((line) => {
+    const layout = _calculateSingleLineLayout(
+      fontHandle,
+      fontSpacingChars,
+      line,
+      minSpaceWidthChars,
+      UnitCellSize,
+      kerning,
+    );
+    return { cols: Math.ceil(layout.width), rows: Math.ceil(layout.height) };
+  });
+  const width = Math.max(1, ...lineLayouts.map((layout) => layout.cols));
+  const height = lineLayouts.reduce((sum, layout) => sum + layout.rows, 0) + (lines.length - 1) * lineSpacingRows;
+
+  const cells = [];
+  for (let row = 0; row < height; row++) {
+    cells.push(new Array(width).fill(null));
+  }
+  const reveal = trackReveal ? { steps: cells.map(() => new Array(width).fill(0)), next: 0 } : null;
 
-    // Add inter-character spacing if more than one such glyph exists on the line.
-    if (glyphsContributingToSpacing > 1) {
-      lineWidthPx += (glyphsContributingToSpacing - 1) * (fontSpacingChars * CharWidth);
+  let currentRow = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const { cols, rows } = lineLayouts[i];
+    let lineIndentCols = 0; // Horizontal indentation of this line within the grid.
+    if (textAlign === "center") {
+      lineIndentCols = Math.floor((width - cols) / 2);
+    } else if (textAlign === "right") {
+      lineIndentCols = width - cols;
     }
-
-    // Ensure the line has at least a minimal width/height if it contained any characters.
-    return {
-      width: Math.max(lineWidthPx, textLine.length > 0 ? CharWidth : 0), // Min width of one cell if content.
-      height: Math.max(maxLineHeightPx, CharHeight), // Min height of one cell.
-    };
+    _placeLineOnCellGrid(
+      cells,
+      lines[i],
+      currentRow,
+      lineIndentCols,
+      fontHandle,
+      fontSpacingChars,
+      minSpaceWidthChars,
+      glyphStyle,
+      kerning,
+      reveal,
+    );
+    currentRow += rows + lineSpacingRows;
   }
 
-  // --- Utilities: Text Rendering on Canvas ---
-
-  /**
-   * Renders a single TDF glyph (represented as a dense grid of cells) onto the canvas.
-   * The input `glyphCompactData` is a flat array: [width, height, char1, attr1, char2, attr2, ...].
-   * @param {CanvasRenderingContext2D} context - The canvas rendering context.
-   * @param {Array<number>} glyphCompactData - Parsed glyph data.
-   * @param {number} baseX - Starting X coordinate on canvas for the top-left of this TDF glyph.
-   * @param {number} baseY - Starting Y coordinate on canvas for the top-left of this TDF glyph.
-   */
-  function _renderTdfGlyphOnCanvas(context, glyphCompactData, baseX, baseY) {
-    if (!glyphCompactData || glyphCompactData.length < 2) {
-      console.warn("tdfRenderer: Attempted to render glyph with insufficient compact data (missing width/height).");
-      return;
+  if (reveal) {
+    return { width, height, cells, revealSteps: reveal.steps, revealStepCount: reveal.next };
+  }
+  return { width, height, cells };
+}
+
+// --- Utilities: ANSI Text Output ---
+
+/**
+ * Builds the ANSI SGR escape sequence selecting a cell attribute's colors.
+ * Bright foregrounds use the aixterm codes (90-97); the background uses the low 3 bits only.
+ * @param {number} attrByte - Color attribute byte.
+ * @returns {string} The escape sequence, starting with a reset.
+ */
+function _attributeToSgr(attrByte) {
+  const fgIndex = attrByte & 0x0f;
+  const bgIndex = (attrByte >> 4) & 0x07;
+  const fgCode = (fgIndex & 0x08 ? 90 : 30) + DosToAnsiColor[fgIndex & 0x07];
+  const bgCode = 40 + DosToAnsiColor[bgIndex];
+  return `\x1b[0;${fgCode};${bgCode}m`;
+}
+
+/**
+ * Finds the entry of the xterm 256-color palette closest to an RGB color. Only the color cube (16-231) and the
+ * gray ramp (232-255) are considered, as terminals show the first 16 entries in colors of their own choosing.
+ * @param {Array<number>} rgb - The color as [r, g, b] (further items are ignored).
+ * @returns {number} The palette index (16-255).
+ */
+function _rgbToXterm256(rgb) {
+  const levelIndices = rgb.slice(0, 3).map((component) => {
+    let nearest = 0;
+    Xterm256CubeLevels.forEach((level, index) => {
+      if (Math.abs(level - component) < Math.abs(Xterm256CubeLevels[nearest] - component)) nearest = index;
+    });
+    return nearest;
+  });
+  const average = (rgb[0] + rgb[1] + rgb[2]) / 3;
+  const grayStep = Math.max(0, Math.min(23, Math.round((average - 8) / 10))); // Gray ramp levels are 8, 18, ..., 238.
+  const distanceTo = (levels) => levels.reduce((sum, level, c) => sum + (level - rgb[c]) ** 2, 0);
+  const cubeDistance = distanceTo(levelIndices.map((index) => Xterm256CubeLevels[index]));
+  const grayLevel = 8 + grayStep * 10;
+  if (distanceTo([grayLevel, grayLevel, grayLevel]) < cubeDistance) {
+    return 232 + grayStep;
+  }
+  return 16 + 36 * levelIndices[0] + 6 * levelIndices[1] + levelIndices[2];
+}
+
+/**
+ * Chooses how `renderToText` colors cells.
+ * @param {string | undefined} colorMode - One of `TextColorModes`; undefined means "none".
+ * @param {{iceColors: boolean, palette: Array<Array<number>>}} colorStyle - Colors for the 256-color and 24-bit
+ * modes, see `_attributeToRgba`.
+ * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+ * @returns {function(number): string | null} Builds the SGR escape sequence for an attribute byte, or null for
+ * plain text.
+ * @throws {Error} If the color mode is unknown.
+ */
+function _textColorEncoder(colorMode, colorStyle, apiName) {
+  const mode = typeof colorMode === "undefined" ? "none" : colorMode;
+  if (!TextColorModes.includes(mode)) {
+    throw new Error(`${apiName}: Unknown colorMode "${colorMode}". Expected one of: ${TextColorModes.join(", ")}.`);
+  }
+  if (mode === "none") return null;
+  if (mode === "ansi16") return _attributeToSgr;
+
+  const sgrCache = new Map(); // Attribute byte to escape sequence; logos use only a handful of attributes.
+  return (attrByte) => {
+    let sgr = sgrCache.get(attrByte);
+    if (typeof sgr === "undefined") {
+      const { fgColor, bgColor } = _attributeToRgba(attrByte, colorStyle);
+      sgr =
+        mode === "ansi256"
+          ? `\x1b[0;38;5;${_rgbToXterm256(fgColor)};48;5;${_rgbToXterm256(bgColor)}m`
+          : `\x1b[0;38;2;${fgColor.slice(0, 3).join(";")};48;2;${bgColor.slice(0, 3).join(";")}m`;
+      sgrCache.set(attrByte, sgr);
     }
-
-    const glyphWidthChars = glyphCompactData[0];
-    const glyphHeightLines = glyphCompactData[1];
-    const expectedCells = glyphWidthChars * glyphHeightLines;
-
-    // Cell data starts at index 2 of glyphCompactData. Each cell uses 2 array items (char, attr).
-    if (glyphCompactData.length < 2 + expectedCells * 2 && expectedCells > 0) {
-      console.warn(
-        `tdfRenderer: Glyph compact data stream is shorter (${glyphCompactData.length - 2} items) than expected by width*height (${expectedCells * 2} items). Glyph rendering may be truncated.`,
-      );
-      // Proceed to render what's available, up to the shorter length.
+    return sgr;
+  };
+}
+
+/**
+ * Converts a cell grid into lines of Unicode text colored with ANSI SGR escape sequences.
+ * Uncovered cells are written as plain spaces in the terminal's default colors, and trailing
+ * uncovered cells are trimmed from each line.
+ * @param {{cells: Array<Array<{char: number, attr: number} | null>>}} grid - Grid from `_layoutTextOnCellGrid`.
+ * @param {function(number): string | null} [attributeToSgr=_attributeToSgr] - Builds the escape sequence for an
+ * attribute byte. If null, the text is left uncolored.
+ * @returns {string} The colored text, with lines separated by '\n'.
+ */
+function _cellGridToAnsi(grid, attributeToSgr = _attributeToSgr) {
+  const outputLines = [];
+  for (const row of grid.cells) {
+    let lastCoveredCol = row.length - 1;
+    while (lastCoveredCol >= 0 && row[lastCoveredCol] === null) lastCoveredCol--;
+
+    let line = "";
+    let currentSgr = ""; // Empty string means the terminal's default colors.
+    for (let col = 0; col <= lastCoveredCol; col++) {
+      const cell = row[col];
+      const sgr = cell && attributeToSgr ? attributeToSgr(cell.attr) : "";
+      if (sgr !== currentSgr) {
+        line += sgr || "\x1b[0m";
+        currentSgr = sgr;
+      }
+      line += cell ? Cp437ToUnicode[cell.char & 0xff] : " ";
     }
+    if (currentSgr) line += "\x1b[0m"; // Leave the terminal in its default colors at the end of each line.
+    outputLines.push(line);
+  }
+  return outputLines.join("\n");
+}
+
+// --- Utilities: HTML Output ---
+
+// How `renderToHtml` applies colors: inline `style` attributes, or classes defined in a stylesheet.
+const HtmlCssModes = ["inline", "classes"];
+const DefaultHtmlClassPrefix = "tdf-";
+const HtmlEscapes = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
+
+/**
+ * Escapes text for use in HTML element content and double-quoted attribute values.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function _escapeHtml(text) {
+  return text.replace(/[&<>"]/g, (char) => HtmlEscapes[char]);
+}
+
+/**
+ * Formats an RGBA color as a CSS hex color. The alpha component is ignored, as palette colors are opaque.
+ * @param {Array<number>} colorRgba - The color as [r, g, b, a].
+ * @returns {string} The color as "#rrggbb".
+ */
+function _rgbaToCssHex(colorRgba) {
+  return `#${colorRgba
+    .slice(0, 3)
+    .map((component) => component.toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+/**
+ * Builds the stylesheet for `renderToHtml`'s "classes" mode: a rule for the `<pre>` block and, for each of the
+ * 16 color indices, a foreground and a background class.
+ * @param {Array<Array<number>>} palette - The 16 RGBA colors.
+ * @param {string} classPrefix - Prefix of the class names.
+ * @returns {string} A `<style>` element.
+ */
+function _htmlStylesheet(palette, classPrefix) {
+  const rules = [`.${classPrefix}text { font-family: monospace; line-height: 1; }`];
+  palette.forEach((colorRgba, index) => {
+    rules.push(`.${classPrefix}fg${index} { color: ${_rgbaToCssHex(colorRgba)}; }`);
+  });
+  palette.forEach((colorRgba, index) => {
+    rules.push(`.${classPrefix}bg${index} { background-color: ${_rgbaToCssHex(colorRgba)}; }`);
+  });
+  return `<style>\n${rules.join("\n")}\n</style>\n`;
+}
+
+/**
+ * Converts a cell grid into a `<pre>` block of colored `<span>` elements holding Unicode characters.
+ * Uncovered cells are written as plain spaces outside any span, and trailing uncovered cells are trimmed from
+ * each line.
+ * @param {{cells: Array<Array<{char: number, attr: number} | null>>}} grid - Grid from `_layoutTextOnCellGrid`.
+ * @param {object} htmlStyle - Output options, as resolved by `renderToHtml`.
+ * @param {{iceColors: boolean, palette: Array<Array<number>>}} htmlStyle.colorStyle - Colors, see `_attributeToRgba`.
+ * @param {string} htmlStyle.cssMode - One of `HtmlCssModes`.
+ * @param {string} htmlStyle.classPrefix - Prefix of the class names in "classes" mode.
+ * @param {boolean} htmlStyle.mergeRuns - If true, adjacent cells of the same attribute share one span.
+ * @param {string} htmlStyle.label - Accessible name of the block (the rendered text).
+ * @returns {string} The `<pre>` element.
+ */
+function _cellGridToHtml(grid, htmlStyle) {
+  const { colorStyle, cssMode, classPrefix, mergeRuns, label } = htmlStyle;
+  const openSpan = (attrByte) => {
+    if (cssMode === "classes") {
+      // Same color lookup as _attributeToRgba, by index.
+      const bgIndex = (attrByte >> 4) & (colorStyle.iceColors ? 0x0f : 0x07);
+      return `<span class="${classPrefix}fg${attrByte & 0x0f} ${classPrefix}bg${bgIndex}">`;
+    }
+    const { fgColor, bgColor } = _attributeToRgba(attrByte, colorStyle);
+    return `<span style="color: ${_rgbaToCssHex(fgColor)}; background-color: ${_rgbaToCssHex(bgColor)}">`;
+  };
 
-    for (let i = 0; i < expectedCells; i++) {
-      const dataIndex = 2 + i * 2;
-      // Ensure we don't read past the end of available cell data.
-      if (dataIndex + 1 >= glyphCompactData.length) break;
-
-      const charByte = glyphCompactData[dataIndex];
-      const attrByte = glyphCompactData[dataIndex + 1];
-
-      // Calculate cell's position within the glyph's own grid.
-      const currentGlyphCellX = i % glyphWidthChars;
-      const currentGlyphCellY = Math.floor(i / glyphWidthChars);
-
-      // Calculate the absolute canvas position for this cell.
-      const canvasX = baseX + currentGlyphCellX * CharWidth;
-      const canvasY = baseY + currentGlyphCellY * CharHeight;
-
-      // Decode color attribute byte.
-      const bgIndex = (attrByte >> 4) & 0x07; // TDF uses 3 bits for Background (0-7).
-      const fgIndex = attrByte & 0x0f; // TDF uses 4 bits for Foreground (0-15).
-
-      // Get RGBA colors from pre-defined TdfColors palette.
-      const bgColor = TdfColors[bgIndex] || TdfColors[0]; // Default to black if index is out of bounds.
-      const fgColor = TdfColors[fgIndex] || TdfColors[7]; // Default to light grey if index is out of bounds.
-
-      drawCp437Char(context, charByte, canvasX, canvasY, fgColor, bgColor);
+  const outputLines = [];
+  for (const row of grid.cells) {
+    let lastCoveredCol = row.length - 1;
+    while (lastCoveredCol >= 0 && row[lastCoveredCol] === null) lastCoveredCol--;
+
+    let line = "";
+    let currentAttr = null; // Attribute of the open span, or null outside of spans.
+    for (let col = 0; col <= lastCoveredCol; col++) {
+      const cell = row[col];
+      const attr = cell ? cell.attr : null;
+      if (currentAttr !== null && (attr !== currentAttr || !mergeRuns)) {
+        line += "</span>";
+        currentAttr = null;
+      }
+      if (attr !== null && currentAttr === null) {
+        line += openSpan(attr);
+        currentAttr = attr;
+      }
+      line += cell ? _escapeHtml(Cp437ToUnicode[cell.char & 0xff]) : " ";
     }
+    if (currentAttr !== null) line += "</span>";
+    outputLines.push(line);
   }
 
-  /**
-   * Renders a single line of text onto the canvas at a specified X, Y.
-   */
-  function _renderLine(
-    context,
-    lineText,
-    lineBaseY,
-    lineStartX,
-    fontDataOffsetInPool,
-    fontSpacingChars,
-    minSpaceWidthChars,
-  ) {
-    let currentX = lineStartX; // Current X position on the canvas for drawing.
+  const styleAttribute =
+    cssMode === "classes" ? `class="${classPrefix}text"` : 'style="font-family: monospace; line-height: 1"';
+  return `<pre ${styleAttribute} role="img" aria-label="${_escapeHtml(label)}">${outputLines.join("\n")}</pre>`;
+}
+
+// --- Utilities: SVG Output ---
+
+/**
+ * Formats an RGBA color as SVG fill attributes.
+ * @param {Array<number>} colorRgba - The color as [r, g, b, a].
+ * @returns {string} A `fill` attribute, plus a `fill-opacity` attribute if the color is not opaque.
+ */
+function _svgFill(colorRgba) {
+  const opacity = colorRgba[3] < 255 ? ` fill-opacity="${+(colorRgba[3] / 255).toFixed(3)}"` : "";
+  return `fill="${_rgbaToCssHex(colorRgba)}"${opacity}`;
+}
+
+/**
+ * Converts a cell grid into an SVG image. Backgrounds are drawn as rectangles, one per run of adjacent cells
+ * with the same background color; foregrounds as one path per color, made of runs of set pixels from the cell
+ * font's bitmaps, merged across cell boundaries.
+ * @param {{width: number, height: number, cells: Array<Array<{char: number, attr: number} | null>>}} grid - Grid
+ * from `_layoutTextOnCellGrid`.
+ * @param {object} svgStyle - Output options, as resolved by `renderToSvg`.
+ * @param {{iceColors: boolean, palette: Array<Array<number>>}} svgStyle.colorStyle - Colors, see `_attributeToRgba`.
+ * @param {CellFont} svgStyle.cellFont - The bitmap font for the foreground pixels.
+ * @param {Array<number>} svgStyle.bgColor - Color of cells that no glyph covers, as [r, g, b, a].
+ * @param {number} svgStyle.aspectRatio - Vertical stretch of the image's size, see `_resolveAspectRatio`.
+ * @param {string} svgStyle.label - Accessible name of the image (the rendered text).
+ * @returns {string} The SVG document.
+ */
+function _cellGridToSvg(grid, svgStyle) {
+  const { colorStyle, cellFont, bgColor, aspectRatio, label } = svgStyle;
+  const width = grid.width * cellFont.width;
+  const height = grid.height * cellFont.height;
+  const backgroundRects = [];
+  const foregroundPaths = new Map(); // Maps fill attributes to the path data drawn with them.
+
+  grid.cells.forEach((row, cellRow) => {
+    const cellY = cellRow * cellFont.height;
+    const colors = row.map((cell) => (cell ? _attributeToRgba(cell.attr, colorStyle) : null));
+
+    // Backgrounds, one rectangle per run of cells.
+    let runStart = 0;
+    for (let col = 1; col <= row.length; col++) {
+      const runFill = colors[runStart] && _svgFill(colors[runStart].bgColor);
+      if (col < row.length && colors[col] && runFill === _svgFill(colors[col].bgColor)) continue;
+      if (runFill) {
+        const x = runStart * cellFont.width;
+        const runWidth = (col - runStart) * cellFont.width;
+        backgroundRects.push(
+          `<rect x="${x}" y="${cellY}" width="${runWidth}" height="${cellFont.height}" ${runFill}/>`,
+        );
+      }
+      runStart = col;
+    }
 
-    for (let i = 0; i < lineText.length; i++) {
-      const char = lineText[i];
-      const charCode = char.charCodeAt(0);
-      let glyphRenderWidthPx = 0; // Pixel width of the current character's glyph.
-      let glyphCompactData = null;
-
-      // Fetch glyph data unless it's a space (which might be handled differently).
-      glyphCompactData = char === " " ? null : parseGlyphDataOnDemand(fontDataOffsetInPool, charCode);
-
-      if (char === " ") {
-        const spaceMetrics = _getGlyphLayoutMetricsOnly(fontDataOffsetInPool, 32); // ASCII 32 for space.
-        glyphRenderWidthPx =
-          spaceMetrics && spaceMetrics.width > 0
-            ? spaceMetrics.width * CharWidth // Use defined width if space has one.
-            : minSpaceWidthChars * CharWidth; // Otherwise, use default minimum.
-
-        // If the space character has a specific glyph defined (rare, but possible), render it.
-        // Also ensure it has a positive width to be rendered.
-        if (glyphCompactData && glyphCompactData.length > 2 && spaceMetrics && spaceMetrics.width > 0) {
-          _renderTdfGlyphOnCanvas(context, glyphCompactData, currentX, lineBaseY);
-        } else if (glyphRenderWidthPx > 0) {
-          // For default spaces or spaces without complex glyphs, just fill the background.
-          const fontDetails = _getOrParseFontDetails(fontDataOffsetInPool);
-          // Determine a suitable background color. Use the background of the first color pair
-          // in the font's palette as a heuristic, or default to black.
-          const defaultBgColor =
-            fontDetails && fontDetails.pairPalette.length > 0
-              ? TdfColors[(fontDetails.pairPalette[0].attr >> 4) & 0x07]
-              : TdfColors[0];
-          context.fillStyle = `rgba(${defaultBgColor.join(",")})`;
-          context.fillRect(Math.floor(currentX), Math.floor(lineBaseY), Math.ceil(glyphRenderWidthPx), CharHeight);
-        }
-      } else if (glyphCompactData) {
-        // For non-space characters with successfully parsed glyph data.
-        glyphRenderWidthPx = glyphCompactData[0] * CharWidth; // First element is width.
-        if (glyphCompactData.length > 2) {
-          // Check if there's actual cell data beyond width/height.
-          _renderTdfGlyphOnCanvas(context, glyphCompactData, currentX, lineBaseY);
+    // Foregrounds, scanning each pixel row across all cells so that runs continue into the next cell.
+    for (let pixelRow = 0; pixelRow < cellFont.height; pixelRow++) {
+      let runFill = null;
+      let runX = 0;
+      const endRun = (x) => {
+        if (!runFill) return;
+        if (!foregroundPaths.has(runFill)) foregroundPaths.set(runFill, []);
+        foregroundPaths.get(runFill).push(`M${runX} ${cellY + pixelRow}h${x - runX}v1h${runX - x}z`);
+        runFill = null;
+      };
+      row.forEach((cell, col) => {
+        const rowBits = cell ? (cellFont.glyphs[cell.char & 0xff] || [])[pixelRow] || 0 : 0;
+        const { fgColor, bgColor } = colors[col] || {};
+        const fill = rowBits && fgColor !== bgColor ? _svgFill(fgColor) : null; // Skip pixels that cannot be seen.
+        for (let pixelCol = 0; pixelCol < cellFont.width; pixelCol++) {
+          const x = col * cellFont.width + pixelCol;
+          const pixelFill = fill && (rowBits >> (cellFont.width - 1 - pixelCol)) & 1 ? fill : null;
+          if (pixelFill === runFill) continue;
+          endRun(x);
+          if (pixelFill) {
+            runFill = pixelFill;
+            runX = x;
+          }
         }
-      }
-      // If glyphCompactData is null for a non-space char, it means the character is not defined
-      // in the font. glyphRenderWidthPx remains 0, and it contributes nothing to the line's width.
+      });
+      endRun(row.length * cellFont.width);
+    }
+  });
 
-      currentX += glyphRenderWidthPx; // Advance X position.
+  const elements = [];
+  if (bgColor[3] > 0) elements.push(`<rect width="${width}" height="${height}" ${_svgFill(bgColor)}/>`);
+  elements.push(...backgroundRects);
+  for (const [fill, segments] of foregroundPaths) {
+    elements.push(`<path ${fill} d="${segments.join("")}"/>`);
+  }
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${Math.round(height * aspectRatio)}" ` +
+    `viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" shape-rendering="crispEdges" role="img" ` +
+    `aria-label="${_escapeHtml(label)}">\n${elements.join("\n")}\n</svg>\n`
+  );
+}
+
+// --- Utilities: Raster Output ---
+
+/**
+ * Draws a cell grid into RGBA pixels with a cell font, without a canvas. Cells look as `drawCp437Char` draws them;
+ * each font pixel becomes a `scale` x `scale` block.
+ * @param {{width: number, height: number, cells: Array<Array<{char: number, attr: number} | null>>}} grid - Grid
+ * from `_layoutTextOnCellGrid`.
+ * @param {object} rasterStyle - Output options, as resolved by `renderToImageData`.
+ * @param {{iceColors: boolean, palette: Array<Array<number>>}} rasterStyle.colorStyle - Colors, see
+ * `_attributeToRgba`.
+ * @param {CellFont} rasterStyle.cellFont - The bitmap font for the characters.
+ * @param {Array<number>} rasterStyle.bgColor - Color of cells that no glyph covers, as [r, g, b, a].
+ * @param {number} rasterStyle.scale - Size of a font pixel in image pixels.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The image, shaped like an ImageData.
+ */
+function _cellGridToRgba(grid, rasterStyle) {
+  const { colorStyle, cellFont, bgColor, scale } = rasterStyle;
+  const width = grid.width * cellFont.width * scale;
+  const height = grid.height * cellFont.height * scale;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  const fillBlock = (x, y, blockWidth, blockHeight, colorRgba) => {
+    for (let row = y; row < y + blockHeight; row++) {
+      for (let offset = (row * width + x) * 4, end = offset + blockWidth * 4; offset < end; offset += 4) {
+        data.set(colorRgba, offset);
+      }
+    }
+  };
 
-      // Add inter-character spacing if not the last character on the line
-      // and the current character contributed some width.
-      if (i < lineText.length - 1 && glyphRenderWidthPx > 0) {
-        currentX += fontSpacingChars * CharWidth;
+  const cellWidth = cellFont.width * scale;
+  const cellHeight = cellFont.height * scale;
+  grid.cells.forEach((row, cellRow) => {
+    row.forEach((cell, cellCol) => {
+      const x = cellCol * cellWidth;
+      const y = cellRow * cellHeight;
+      if (!cell) {
+        fillBlock(x, y, cellWidth, cellHeight, bgColor);
+        return;
+      }
+      const { fgColor, bgColor: cellBgColor } = _attributeToRgba(cell.attr, colorStyle);
+      const bitmap = cellFont.glyphs[cell.char & 0xff];
+      if (!bitmap || bitmap.length < cellFont.height) {
+        fillBlock(x, y, cellWidth, cellHeight, cellBgColor); // Like drawCp437Char for undefined glyphs.
+        return;
       }
+      for (let pixelRow = 0; pixelRow < cellFont.height; pixelRow++) {
+        const rowBits = bitmap[pixelRow] || 0x00;
+        for (let pixelCol = 0; pixelCol < cellFont.width; pixelCol++) {
+          const isForegroundPixel = (rowBits >> (cellFont.width - 1 - pixelCol)) & 1;
+          fillBlock(
+            x + pixelCol * scale,
+            y + pixelRow * scale,
+            scale,
+            scale,
+            isForegroundPixel ? fgColor : cellBgColor,
+          );
+        }
+      }
+    });
+  });
+  return { width, height, data };
+}
+
+// --- Utilities: Animation Frames ---
+
+/**
+ * Builds the frames of an animation as cell grids, each with its own colors.
+ * - "typewriter": the text appears glyph by glyph, in reading order; the last frame shows all of it.
+ * - "blink": two frames, with the characters of cells with attribute bit 7 shown, then hidden (only their
+ *   background remains), as `render` blinks them on a canvas.
+ * - "paletteCycle": the colors listed in `cycleColors` rotate through each other's palette entries, one step per
+ *   frame, so that text drawn in them appears to flow.
+ * @param {{width: number, height: number, cells: Array<Array<{char: number, attr: number} | null>>,
+ * revealSteps: Array<Array<number>>, revealStepCount: number}} grid - Grid from `_layoutTextOnCellGrid`, with
+ * reveal steps tracked.
+ * @param {object} animationStyle - Animation options, as resolved by `renderToAnimation`.
+ * @param {string} animationStyle.effect - One of `AnimationEffects`.
+ * @param {{iceColors: boolean, palette: Array<Array<number>>}} animationStyle.colorStyle - Colors of the text.
+ * @param {number[]} animationStyle.cycleColors - Color indices to rotate, for "paletteCycle".
+ * @returns {Array<{grid: object, colorStyle: {iceColors: boolean, palette: Array<Array<number>>}}>} The frames.
+ */
+function _buildAnimationFrames(grid, animationStyle) {
+  const { effect, colorStyle, cycleColors } = animationStyle;
+  const withCells = (mapCell) => ({
+    width: grid.width,
+    height: grid.height,
+    cells: grid.cells.map((row, rowIndex) => row.map((cell, colIndex) => cell && mapCell(cell, rowIndex, colIndex))),
+  });
+
+  if (effect === "typewriter") {
+    const frames = [];
+    for (let step = 1; step < grid.revealStepCount; step++) {
+      const partialGrid = withCells((cell, row, col) => (grid.revealSteps[row][col] < step ? cell : null));
+      frames.push({ grid: partialGrid, colorStyle });
     }
+    frames.push({ grid, colorStyle });
+    return frames;
   }
 
-  /**
-   * Renders a line of text with specified alignment within a text block of a given width.
-   * @returns {number} The pixel height of the rendered line (max height of glyphs in it).
-   */
-  function _renderLineWithAlignment(
-    context,
-    lineText,
-    lineBaseY, // Y-coordinate for the top of this line.
-    textBlockStartX, // X-coordinate for the start of the overall text block (for alignment).
-    textBlockWidthPx, // Total width available for this line's alignment.
-    textAlign,
-    fontDataOffsetInPool,
-    fontSpacingChars,
-    minSpaceWidthChars,
-  ) {
-    // Calculate the natural layout of this specific line.
-    const lineLayout = _calculateSingleLineLayout(fontDataOffsetInPool, fontSpacingChars, lineText, minSpaceWidthChars);
-    const currentLineWidthPx = lineLayout.width;
-    const currentLineHeightPx = lineLayout.height; // This is the max height of glyphs in this line.
+  if (effect === "blink") {
+    const hiddenGrid = withCells((cell) => (cell.attr & 0x80 ? { char: 0x20, attr: cell.attr } : cell));
+    const hasBlinkingCells = grid.cells.some((row) => row.some((cell) => cell && cell.attr & 0x80));
+    return hasBlinkingCells
+      ? [
+          { grid, colorStyle },
+          { grid: hiddenGrid, colorStyle },
+        ]
+      : [{ grid, colorStyle }];
+  }
 
-    let lineIndentPx = 0; // Horizontal indentation of this line within the text block.
-    if (textAlign === "center") {
-      lineIndentPx = Math.max(0, Math.floor((textBlockWidthPx - currentLineWidthPx) / 2));
-    } else if (textAlign === "right") {
-      lineIndentPx = Math.max(0, textBlockWidthPx - currentLineWidthPx);
+  // "paletteCycle"
+  return cycleColors.map((_, shift) => {
+    const palette = colorStyle.palette.slice();
+    cycleColors.forEach((colorIndex, i) => {
+      palette[colorIndex] = colorStyle.palette[cycleColors[(i + shift) % cycleColors.length]];
+    });
+    return { grid, colorStyle: { ...colorStyle, palette } };
+  });
+}
+
+// --- Utilities: ANSI Art File Output ---
+
+const SauceRecordSize = 128; // SAUCE v00 record, appended after the art and an EOF byte.
+const SauceEofByte = 0x1a; // Ctrl-Z, ends the art for DOS viewers so the SAUCE record is not displayed.
+const SauceDataTypeCharacter = 1;
+const SauceFileTypeAnsi = 1;
+const SauceFlagIceColors = 0x01; // TFlags bit 0: attribute bit 7 selects a bright background instead of blinking.
+const SauceFlagLetterSpacing8Px = 0x02; // TFlags bits 1-2 = 01: the art is drawn with an 8 pixel wide font.
+const SauceFontName = "IBM VGA";
+
+// CP437 bytes that ANSI viewers act on instead of drawing (NUL, BEL, BS, TAB, LF, FF, CR, EOF, ESC).
+// Glyph cells using them are written as spaces.
+const AnsiControlBytes = new Set([0x00, 0x07, 0x08, 0x09, 0x0a, 0x0c, 0x0d, 0x1a, 0x1b]);
+
+/**
+ * Builds the ANSI escape sequence selecting a cell attribute's colors, the way ANSI art editors expect it:
+ * bold for a bright foreground and blink for attribute bit 7 (a bright background when iCE colors are on).
+ * @param {number} attrByte - Color attribute byte.
+ * @returns {string} The escape sequence, starting with a reset.
+ */
+function _attributeToAnsiArtSgr(attrByte) {
+  const codes = [0];
+  if (attrByte & 0x08) codes.push(1);
+  if (attrByte & 0x80) codes.push(5);
+  codes.push(30 + DosToAnsiColor[attrByte & 0x07], 40 + DosToAnsiColor[(attrByte >> 4) & 0x07]);
+  return `\x1b[${codes.join(";")}m`;
+}
+
+/**
+ * Encodes a string as CP437 bytes. Characters without a CP437 equivalent become '?'.
+ * @param {string} text - The string to encode.
+ * @returns {Array<number>} The CP437 bytes.
+ */
+function _encodeCp437(text) {
+  return Array.from(text, (char) => {
+    const code = char.charCodeAt(0);
+    if (code >= 0x20 && code < 0x7f) return code;
+    const cp437Code = Cp437ToUnicode.indexOf(char, 1); // Skip index 0, a space standing in for NUL.
+    return cp437Code > 0 ? cp437Code : 0x3f;
+  });
+}
+
+/**
+ * Converts a cell grid into an ANSI art byte stream: CP437 characters with ANSI escape sequences for colors,
+ * and CR/LF between rows. Uncovered cells are written as spaces in the default colors, and trailing
+ * uncovered cells are trimmed from each row.
+ * @param {{cells: Array<Array<{char: number, attr: number} | null>>}} grid - Grid from `_layoutTextOnCellGrid`.
+ * @returns {Array<number>} The bytes of the ANSI stream.
+ */
+function _cellGridToAnsiArtBytes(grid) {
+  const bytes = [];
+  const pushAscii = (str) => {
+    for (let i = 0; i < str.length; i++) bytes.push(str.charCodeAt(i));
+  };
+
+  grid.cells.forEach((row, rowIndex) => {
+    if (rowIndex > 0) pushAscii("\r\n");
+    let lastCoveredCol = row.length - 1;
+    while (lastCoveredCol >= 0 && row[lastCoveredCol] === null) lastCoveredCol--;
+
+    let currentAttr = -1; // -1 means the default colors.
+    for (let col = 0; col <= lastCoveredCol; col++) {
+      const cell = row[col];
+      const attr = cell ? cell.attr : -1;
+      if (attr !== currentAttr) {
+        pushAscii(cell ? _attributeToAnsiArtSgr(attr) : "\x1b[0m");
+        currentAttr = attr;
+      }
+      bytes.push(cell && !AnsiControlBytes.has(cell.char) ? cell.char : 0x20);
     }
-    // For 'left' alignment, lineIndentPx remains 0.
+    if (currentAttr !== -1) pushAscii("\x1b[0m"); // CR/LF does not paint, but the next row starts clean.
+  });
+  return bytes;
+}
+
+/**
+ * Builds a SAUCE v00 record describing an ANSI art file.
+ * @param {object} fields - Record contents.
+ * @param {string} fields.title - Title, up to 35 characters.
+ * @param {string} fields.author - Author, up to 20 characters.
+ * @param {string} fields.group - Group, up to 20 characters.
+ * @param {Date} fields.date - Creation date.
+ * @param {number} fields.fileSize - Size of the art in bytes, excluding the EOF byte and the record.
+ * @param {number} fields.width - Width of the art in character cells.
+ * @param {number} fields.height - Height of the art in character cells.
+ * @param {boolean} fields.iceColors - Whether attribute bit 7 selects a bright background.
+ * @returns {Uint8Array} The 128-byte record.
+ */
+function _buildSauceRecord(fields) {
+  const record = new Uint8Array(SauceRecordSize);
+  const view = new DataView(record.buffer);
+  // Text fields are space padded, except the font name, which is NUL padded.
+  const writeText = (offset, length, text, padByte = 0x20) => {
+    const encoded = _encodeCp437(text).slice(0, length);
+    record.fill(padByte, offset, offset + length);
+    record.set(encoded, offset);
+  };
 
-    const lineRenderStartXOnCanvas = textBlockStartX + lineIndentPx;
+  const { date } = fields;
+  const dateString =
+    `${date.getFullYear()}`.padStart(4, "0").slice(-4) +
+    `${date.getMonth() + 1}`.padStart(2, "0") +
+    `${date.getDate()}`.padStart(2, "0");
+
+  writeText(0, 5, "SAUCE");
+  writeText(5, 2, "00");
+  writeText(7, 35, fields.title);
+  writeText(42, 20, fields.author);
+  writeText(62, 20, fields.group);
+  writeText(82, 8, dateString);
+  view.setUint32(90, fields.fileSize, true);
+  record[94] = SauceDataTypeCharacter;
+  record[95] = SauceFileTypeAnsi;
+  view.setUint16(96, Math.min(fields.width, 0xffff), true); // TInfo1: width in characters.
+  view.setUint16(98, Math.min(fields.height, 0xffff), true); // TInfo2: number of lines.
+  // TInfo3, TInfo4 and the comment line count stay 0.
+  record[105] = SauceFlagLetterSpacing8Px | (fields.iceColors ? SauceFlagIceColors : 0);
+  writeText(106, 22, SauceFontName, 0x00);
+  return record;
+}
+
+// --- Utilities: Bundle Parsing ---
+
+const BundleHeaderSize = 21; // Magic(4) + Ver(1) + FontCount(4) + IndexOffset(4) + StringOffset(4) + DataOffset(4)
+const FontIndexEntrySize = 8; // KeyOffset(4) + DataOffset(4)
+
+/**
+ * Parses and validates the TDF Bundle header.
+ * @param {DataView} bundleView - DataView of the bundle.
+ * @returns {object} An object containing { version, fontCount, indexTableOffset, stringPoolOffset, fontDataPoolOffset }.
+ * @throws {Error} If the header is invalid or bundle version is unsupported.
+ */
+function _parseBundleHeader(bundleView) {
+  if (bundleView.byteLength < BundleHeaderSize) {
+    throw new Error("tdfRenderer: Bundle is too small to contain a valid header.");
+  }
 
-    _renderLine(
-      context,
-      lineText,
-      lineBaseY,
-      lineRenderStartXOnCanvas,
-      fontDataOffsetInPool,
-      fontSpacingChars,
-      minSpaceWidthChars,
+  // Read and verify Magic String.
+  const magicBytes = new Uint8Array(bundleView.buffer, bundleView.byteOffset, 4);
+  const magic = new TextDecoder().decode(magicBytes); // Assumes UTF-8 for "TDFB".
+  if (magic !== "TDFB") {
+    throw new Error(`tdfRenderer: Invalid magic string. Expected "TDFB", got "${magic}".`);
+  }
+
+  // Read and verify Bundle Version.
+  const version = bundleView.getUint8(4);
+  if (!SUPPORTED_BUNDLE_FORMAT_VERSIONS.includes(version)) {
+    throw new Error(
+      `tdfRenderer: Unsupported bundle version: ${version}. This renderer supports versions ${SUPPORTED_BUNDLE_FORMAT_VERSIONS.join(", ")}.`,
     );
-    // Return the calculated height of this line, used by the caller to advance the Y position.
-    return currentLineHeightPx;
   }
 
-  // --- Utilities: Bundle Parsing ---
+  // Read structural offsets and counts.
+  const fontCount = bundleView.getUint32(5, true); // True for Little Endian.
+  const indexTableOffset = bundleView.getUint32(9, true);
+  const stringPoolOffset = bundleView.getUint32(13, true);
+  const fontDataPoolOffset = bundleView.getUint32(17, true);
+
+  // Basic validation of offsets to ensure they are within the bundle's bounds.
+  const maxIndexTableEnd = indexTableOffset + fontCount * FontIndexEntrySize;
+  if (
+    indexTableOffset >= bundleView.byteLength ||
+    stringPoolOffset >= bundleView.byteLength ||
+    fontDataPoolOffset >= bundleView.byteLength ||
+    maxIndexTableEnd > bundleView.byteLength // Index table itself shouldn't extend beyond buffer.
+  ) {
+    throw new Error("tdfRenderer: Invalid offsets in bundle header (they point outside the bundle).");
+  }
+
+  return { version, fontCount, indexTableOffset, stringPoolOffset, fontDataPoolOffset };
+}
+
+/**
+ * Parses the Font Index Table from the bundle, creating a map of font keys to their data offsets.
+ * @param {DataView} bundleView - DataView of the bundle.
+ * @param {object} headerInfo - Parsed header information containing offsets and counts.
+ * @returns {Map<string, number>} A Map where keys are font uniqueKeys (strings) and values are
+ * their data offsets relative to the start of the Font Data Pool.
+ */
+function _parseFontIndex(bundleView, headerInfo) {
+  const { fontCount, indexTableOffset, stringPoolOffset } = headerInfo;
+  const newFontIndex = new Map();
+
+  for (let i = 0; i < fontCount; i++) {
+    const entryAbsOffset = indexTableOffset + i * FontIndexEntrySize;
+
+    // Ensure the current index entry itself is readable.
+    if (entryAbsOffset + FontIndexEntrySize > bundleView.byteLength) {
+      console.warn(`tdfRenderer: Font index entry ${i} is out of bundle bounds. Skipping.`);
+      continue;
+    }
 
-  const BundleHeaderSize = 21; // Magic(4) + Ver(1) + FontCount(4) + IndexOffset(4) + StringOffset(4) + DataOffset(4)
-  const FontIndexEntrySize = 8; // KeyOffset(4) + DataOffset(4)
+    const keyStrRelOffset = bundleView.getUint32(entryAbsOffset, true);
+    const fontDataRelOffset = bundleView.getUint32(entryAbsOffset + 4, true);
 
-  /**
-   * Parses and validates the TDF Bundle header.
-   * @param {DataView} bundleView - DataView of the bundle.
-   * @returns {object} An object containing { version, fontCount, indexTableOffset, stringPoolOffset, fontDataPoolOffset }.
-   * @throws {Error} If the header is invalid or bundle version is unsupported.
-   */
-  function _parseBundleHeader(bundleView) {
-    if (bundleView.byteLength < BundleHeaderSize) {
-      throw new Error("tdfRenderer: Bundle is too small to contain a valid header.");
+    // Ensure the string key pointed to is within the string pool bounds.
+    if (stringPoolOffset + keyStrRelOffset >= bundleView.byteLength) {
+      console.warn(`tdfRenderer: String pool offset for key in index entry ${i} is out of bounds. Skipping.`);
+      continue;
     }
 
-    // Read and verify Magic String.
-    const magicBytes = new Uint8Array(bundleView.buffer, bundleView.byteOffset, 4);
-    const magic = new TextDecoder().decode(magicBytes); // Assumes UTF-8 for "TDFB".
-    if (magic !== "TDFB") {
-      throw new Error(`tdfRenderer: Invalid magic string. Expected "TDFB", got "${magic}".`);
+    const key = readNullTerminatedString(bundleView, stringPoolOffset + keyStrRelOffset);
+    if (key) {
+      newFontIndex.set(key, fontDataRelOffset); // Store offset relative to font data pool start.
+    } else {
+      // This might happen if a string is empty or reading failed.
+      console.warn(`tdfRenderer: Encountered an empty or unreadable font key at index ${i} in bundle.`);
     }
+  }
+  return newFontIndex;
+}
+
+/**
+ * Parses a bundle's header and font index. The renderer's state is not changed, so a bad bundle
+ * does not affect the bundles already loaded.
+ * @param {ArrayBuffer | ArrayBufferView} bundleData - The bundle's bytes.
+ * @param {string} bundleName - Name to give the bundle.
+ * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+ * @returns {{bundle: LoadedBundle, fontOffsets: Map<string, number>}} The bundle, and its fonts' data offsets
+ * relative to the start of its Font Data Pool, keyed by the keys stored in the bundle (without namespace).
+ * @throws {Error} If the data is not a valid bundle, or the name is invalid.
+ */
+function _parseBundle(bundleData, bundleName, apiName) {
+  if (typeof bundleName !== "string" || bundleName.includes(BundleNamespaceSeparator)) {
+    throw new Error(`${apiName}: Bundle name must be a string without "${BundleNamespaceSeparator}".`);
+  }
+  let bundleView;
+  if (bundleData instanceof ArrayBuffer) {
+    bundleView = new DataView(bundleData);
+  } else if (ArrayBuffer.isView(bundleData)) {
+    bundleView = new DataView(bundleData.buffer, bundleData.byteOffset, bundleData.byteLength);
+  } else {
+    throw new Error(`${apiName}: Expected an ArrayBuffer or a typed array.`);
+  }
 
-    // Read and verify Bundle Version.
-    const version = bundleView.getUint8(4);
-    if (version !== EXPECTED_BUNDLE_FORMAT_VERSION) {
+  const headerInfo = _parseBundleHeader(bundleView); // May throw if header is invalid.
+  const fontOffsets = _parseFontIndex(bundleView, headerInfo);
+  const bundle = {
+    name: bundleName,
+    fontKeys: [],
+    view: bundleView,
+    version: headerInfo.version,
+    stringPoolOffset: headerInfo.stringPoolOffset,
+    fontDataPoolOffset: headerInfo.fontDataPoolOffset,
+  };
+  return { bundle, fontOffsets };
+}
+
+/**
+ * Builds the key under which a bundle's font is listed. Fonts of the bundle named "" keep their plain keys.
+ * @param {string} bundleName - Name of the bundle holding the font.
+ * @param {string} fontKey - The font's key as stored in the bundle.
+ * @returns {string} The namespaced font key.
+ */
+function _namespaceFontKey(bundleName, fontKey) {
+  return bundleName ? `${bundleName}${BundleNamespaceSeparator}${fontKey}` : fontKey;
+}
+
+// --- Utilities: Render Setup ---
+
+/**
+ * Resolves the spacing between lines of text for cell-based output. An explicit `options.lineSpacing` (in rows)
+ * wins; otherwise the canvas line spacing in pixels is rounded up to whole rows.
+ * @private
+ * @param {object} options - Rendering options.
+ * @param {object} resolved - Parameters as returned by `_resolveRenderOptions`.
+ * @returns {number} Number of empty rows between lines of text.
+ */
+function _resolveLineSpacingRows(options, resolved) {
+  if (Number.isInteger(options.lineSpacing) && options.lineSpacing >= 0) {
+    return options.lineSpacing;
+  }
+  return Math.ceil(resolved.additionalLineSpacingPx / resolved.cellFont.height);
+}
+
+/**
+ * Resolves the `aspectRatio` render option into a vertical stretch factor.
+ * @private
+ * @param {boolean | number | undefined} aspectRatio - True for `DosPixelAspectRatio`, a positive number for a custom
+ * stretch, or false/undefined for square pixels.
+ * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+ * @returns {number} The vertical stretch factor; 1 means no correction.
+ * @throws {Error} If the option is neither a boolean nor a positive number.
+ */
+function _resolveAspectRatio(aspectRatio, apiName) {
+  if (typeof aspectRatio === "undefined" || aspectRatio === false) return 1;
+  if (aspectRatio === true) return DosPixelAspectRatio;
+  if (typeof aspectRatio !== "number" || !Number.isFinite(aspectRatio) || aspectRatio <= 0) {
+    throw new Error(`${apiName}: 'aspectRatio' must be true, false or a positive number, got ${aspectRatio}.`);
+  }
+  return aspectRatio;
+}
+
+/**
+ * Creates a canvas: a DOM canvas in browsers, or an OffscreenCanvas where there is no DOM (e.g., in Web Workers).
+ * @private
+ * @returns {HTMLCanvasElement | OffscreenCanvas} The new canvas.
+ * @throws {Error} If neither kind of canvas can be created.
+ */
+function _createCanvas() {
+  if (typeof document !== "undefined" && typeof document.createElement === "function") {
+    return document.createElement("canvas");
+  }
+  if (typeof OffscreenCanvas === "function") {
+    return new OffscreenCanvas(1, 1);
+  }
+  throw new Error(
+    "tdfRenderer: Cannot create a canvas; neither document.createElement nor OffscreenCanvas is available.",
+  );
+}
+
+/**
+ * Copies a canvas onto another one, stretched vertically. The target is resized to fit, unless it already has
+ * the right size (so that redrawing blinking text does not clear it first).
+ * @private
+ * @param {HTMLCanvasElement} sourceCanvas - The canvas to copy.
+ * @param {HTMLCanvasElement} targetCanvas - The canvas to draw onto.
+ * @param {number} verticalScale - Vertical stretch factor.
+ * @param {boolean} smooth - If true, pixels are interpolated; otherwise rows are repeated (nearest neighbor).
+ * @throws {Error} If the target canvas' 2D context cannot be retrieved.
+ */
+function _stretchCanvas(sourceCanvas, targetCanvas, verticalScale, smooth) {
+  const height = Math.round(sourceCanvas.height * verticalScale);
+  if (targetCanvas.width !== sourceCanvas.width || targetCanvas.height !== height) {
+    targetCanvas.width = sourceCanvas.width;
+    targetCanvas.height = height;
+  }
+  const context = targetCanvas.getContext("2d");
+  if (!context) {
+    throw new Error("tdfRenderer: Failed to get 2D rendering context from the canvas.");
+  }
+  context.imageSmoothingEnabled = smooth;
+  if (smooth) context.imageSmoothingQuality = "high";
+  context.drawImage(sourceCanvas, 0, 0, sourceCanvas.width, sourceCanvas.height, 0, 0, targetCanvas.width, height);
+}
+
+/**
+ * Prepares a canvas for rendering. If a canvas is provided in options, it's used;
+ * otherwise, a new canvas is created (in browser environments).
+ * The canvas is sized appropriately and cleared with the background color.
+ * @private
+ * @param {object} options - Rendering options, potentially including `options.canvas` and `options.targetWidth`.
+ * @param {{width: number, height: number}} layout - Calculated layout dimensions for the text.
+ * @param {Array<number>} bgColorRgba - Background RGBA color array [r,g,b,a].
+ * @param {CellFont} cellFont - The bitmap font the text is drawn with; the canvas is at least one cell in size.
+ * @returns {{canvas: HTMLCanvasElement, context: CanvasRenderingContext2D}} An object containing the prepared canvas and its 2D context.
+ * @throws {Error} If a canvas cannot be obtained or its context cannot be retrieved.
+ */
+function _prepareCanvasAndContext(options, layout, bgColorRgba, cellFont) {
+  let targetCanvas = options.canvas;
+  const canCreateCanvas = typeof document !== "undefined" && typeof document.createElement === "function";
+
+  if (!targetCanvas) {
+    if (!canCreateCanvas) {
       throw new Error(
-        `tdfRenderer: Unsupported bundle version: ${version}. This renderer expects version ${EXPECTED_BUNDLE_FORMAT_VERSION}.`,
+        "tdfRenderer: options.canvas is required in a non-browser environment or if document.createElement is unavailable.",
       );
     }
-
-    // Read structural offsets and counts.
-    const fontCount = bundleView.getUint32(5, true); // True for Little Endian.
-    const indexTableOffset = bundleView.getUint32(9, true);
-    const stringPoolOffset = bundleView.getUint32(13, true);
-    const fontDataPoolOffset = bundleView.getUint32(17, true);
-
-    // Basic validation of offsets to ensure they are within the bundle's bounds.
-    const maxIndexTableEnd = indexTableOffset + fontCount * FontIndexEntrySize;
-    if (
-      indexTableOffset >= bundleView.byteLength ||
-      stringPoolOffset >= bundleView.byteLength ||
-      fontDataPoolOffset >= bundleView.byteLength ||
-      maxIndexTableEnd > bundleView.byteLength // Index table itself shouldn't extend beyond buffer.
-    ) {
-      throw new Error("tdfRenderer: Invalid offsets in bundle header (they point outside the bundle).");
-    }
-
-    return { version, fontCount, indexTableOffset, stringPoolOffset, fontDataPoolOffset };
+    targetCanvas = document.createElement("canvas");
   }
 
-  /**
-   * Parses the Font Index Table from the bundle, creating a map of font keys to their data offsets.
-   * @param {DataView} bundleView - DataView of the bundle.
-   * @param {object} headerInfo - Parsed header information containing offsets and counts.
-   * @returns {Map<string, number>} A Map where keys are font uniqueKeys (strings) and values are
-   * their data offsets relative to the start of the Font Data Pool.
-   */
-  function _parseFontIndex(bundleView, headerInfo) {
-    const { fontCount, indexTableOffset, stringPoolOffset } = headerInfo;
-    const newFontIndex = new Map();
+  // Set canvas dimensions. Ensure it's large enough for the text and any specified target width.
+  // Also ensure it's at least one character cell in size.
+  targetCanvas.width = Math.max(options.targetWidth || 0, layout.width, cellFont.width);
+  targetCanvas.height = Math.max(layout.height, cellFont.height);
 
-    for (let i = 0; i < fontCount; i++) {
-      const entryAbsOffset = indexTableOffset + i * FontIndexEntrySize;
+  const context = targetCanvas.getContext("2d");
+  if (!context) {
+    throw new Error("tdfRenderer: Failed to get 2D rendering context from the canvas.");
+  }
 
-      // Ensure the current index entry itself is readable.
-      if (entryAbsOffset + FontIndexEntrySize > bundleView.byteLength) {
-        console.warn(`tdfRenderer: Font index entry ${i} is out of bundle bounds. Skipping.`);
-        continue;
-      }
+  // Clear the canvas with the specified background color.
+  context.fillStyle = `rgba(${bgColorRgba.join(",")})`;
+  context.fillRect(0, 0, targetCanvas.width, targetCanvas.height);
 
-      const keyStrRelOffset = bundleView.getUint32(entryAbsOffset, true);
-      const fontDataRelOffset = bundleView.getUint32(entryAbsOffset + 4, true);
+  return { canvas: targetCanvas, context: context };
+}
 
-      // Ensure the string key pointed to is within the string pool bounds.
-      if (stringPoolOffset + keyStrRelOffset >= bundleView.byteLength) {
-        console.warn(`tdfRenderer: String pool offset for key in index entry ${i} is out of bounds. Skipping.`);
-        continue;
-      }
+// --- Renderer Class ---
 
-      const key = readNullTerminatedString(bundleView, stringPoolOffset + keyStrRelOffset);
-      if (key) {
-        newFontIndex.set(key, fontDataRelOffset); // Store offset relative to font data pool start.
-      } else {
-        // This might happen if a string is empty or reading failed.
-        console.warn(`tdfRenderer: Encountered an empty or unreadable font key at index ${i} in bundle.`);
-      }
+/**
+ * A TheDraw font renderer holding its own bundles, font index and parsed font details.
+ * Instances do not share state, so two components on a page (or two tests) can each load different bundles.
+ */
+export class TdfRenderer {
+  /**
+   * Creates a renderer. Without `bundleData` it has no fonts until `init`, `loadBundle` or `addBundle` is called.
+   * @param {ArrayBuffer | ArrayBufferView} [bundleData] - Bytes of a bundle to load right away, see `loadBundle`.
+   * @param {object} [options] - Loading options for `bundleData`, see `loadBundle`.
+   * @throws {Error} If `bundleData` is given but is not a valid bundle.
+   */
+  constructor(bundleData, options = {}) {
+    this._bundles = new Map(); // Maps bundle name (string) to its LoadedBundle, in load order.
+    this._fontIndex = new Map(); // Maps namespaced uniqueFontKey (string) to its FontHandle, across all loaded bundles.
+    this._isInitialized = false; // Flag indicating if at least one bundle is loaded.
+    this._addedBundleCount = 0; // Used to name bundles added without a name.
+    this._cellFonts = new Map(Object.entries(BuiltInCellFonts)); // Maps cell font name to its CellFont.
+
+    if (typeof bundleData !== "undefined") {
+      this.loadBundle(bundleData, options);
     }
-    return newFontIndex;
   }
 
-  // --- Public API Object ---
+  /**
+   * Adds a parsed bundle and its fonts to the renderer, replacing a loaded bundle of the same name.
+   * @private
+   * @param {LoadedBundle} bundle - The bundle, as returned by `_parseBundle`.
+   * @param {Map<string, number>} fontOffsets - Its fonts' data offsets, as returned by `_parseBundle`.
+   */
+  _installBundle(bundle, fontOffsets) {
+    this._removeBundle(bundle.name);
+    for (const [fontKey, fontDataOffsetInPool] of fontOffsets) {
+      const key = _namespaceFontKey(bundle.name, fontKey);
+      this._fontIndex.set(key, { key, bundle, fontDataOffsetInPool });
+      bundle.fontKeys.push(key);
+    }
+    this._bundles.set(bundle.name, bundle);
+    this._isInitialized = true;
+  }
 
-  const tdfRenderer = {};
+  /**
+   * Removes a bundle and its fonts from the renderer.
+   * @private
+   * @param {string} bundleName - Name of the bundle.
+   * @returns {boolean} True if the bundle was loaded.
+   */
+  _removeBundle(bundleName) {
+    const bundle = this._bundles.get(bundleName);
+    if (!bundle) return false;
+    for (const key of bundle.fontKeys) {
+      if (this._fontIndex.get(key)?.bundle === bundle) this._fontIndex.delete(key);
+    }
+    this._bundles.delete(bundleName);
+    this._isInitialized = this._bundles.size > 0;
+    return true;
+  }
 
   /**
    * Initializes the renderer by fetching and parsing the TDF binary font bundle.
    * This method must be called successfully before any rendering or layout calculations can be performed.
-   * @param {string} bundleUrl - URL of the TDF font bundle file (e.g., `font_bundle.bin`).
+   * Calling it again returns the current fonts without loading anything, unless `options.reload` is set.
+   * @param {string | ArrayBuffer | ArrayBufferView} bundleSource - URL of the TDF font bundle file
+   * (e.g., `font_bundle.bin`), or the bundle's bytes if they are already in memory (e.g., read from disk in Node.js).
+   * @param {object} [options] - Initialization options.
+   * @param {boolean} [options.reload=false] - If true and bundles are already loaded, replaces them with `bundleSource`.
+   * @param {string} [options.name=""] - Name of the bundle, see `loadBundle`.
    * @returns {Promise<string[]>} A promise that resolves with a sorted array of available font keys
    * upon successful initialization.
    * @throws {Error} If initialization fails (e.g., network error, invalid bundle format).
    */
-  tdfRenderer.init = async (bundleUrl) => {
-    if (_isInitialized) {
+  async init(bundleSource, options = {}) {
+    if (this._isInitialized && !options.reload) {
       console.warn("tdfRenderer: Already initialized. Returning list of available fonts.");
-      return tdfRenderer.getAvailableFonts();
+      return this.getAvailableFonts();
     }
 
-    _bundleBuffer = await fetchBinary(bundleUrl); // May throw if fetch fails.
-    _bundleView = new DataView(_bundleBuffer);
-    _parsedFontDetailsCache.clear(); // Clear cache from any previous or failed initialization.
+    if (typeof bundleSource === "string") {
+      const bundleBuffer = await fetchBinary(bundleSource); // May throw if fetch fails.
+      return this.loadBundle(bundleBuffer, { name: options.name });
+    }
+    if (bundleSource instanceof ArrayBuffer || ArrayBuffer.isView(bundleSource)) {
+      return this.loadBundle(bundleSource, { name: options.name });
+    }
+    throw new Error("tdfRenderer.init: Expected a bundle URL string, an ArrayBuffer or a typed array.");
+  }
 
-    const headerInfo = _parseBundleHeader(_bundleView); // May throw if header is invalid.
-    _actualBundleFormatVersion = headerInfo.version; // Store the validated version.
-    _stringPoolOffset = headerInfo.stringPoolOffset;
-    _fontDataPoolOffset = headerInfo.fontDataPoolOffset;
+  /**
+   * Loads a TDF binary font bundle from bytes already in memory (e.g., read from disk in Node.js,
+   * transferred to a Web Worker, or dropped onto the page), replacing all bundles loaded before.
+   * The current bundles stay loaded if the new one is invalid.
+   * @param {ArrayBuffer | ArrayBufferView} bundleData - The bundle's bytes. They are used in place, not copied,
+   * so they must not be modified while loaded.
+   * @param {object} [options] - Loading options.
+   * @param {string} [options.name=""] - Name of the bundle. Font keys are prefixed with the name and "/",
+   * except for the default name "", whose fonts keep the keys stored in the bundle.
+   * @returns {string[]} A sorted array of available font keys.
+   * @throws {Error} If the data is not a valid bundle, or the name contains "/".
+   */
+  loadBundle(bundleData, options = {}) {
+    const { bundle, fontOffsets } = _parseBundle(bundleData, options.name ?? "", "tdfRenderer.loadBundle");
 
-    _fontIndex = _parseFontIndex(_bundleView, headerInfo);
+    for (const bundleName of Array.from(this._bundles.keys())) {
+      this._removeBundle(bundleName);
+    }
+    this._installBundle(bundle, fontOffsets);
+    return this.getAvailableFonts();
+  }
 
-    _isInitialized = true;
-    console.log(
-      `tdfRenderer initialized. Bundle Format Version: ${_actualBundleFormatVersion}. Fonts available: ${_fontIndex.size}`,
-    );
-    return tdfRenderer.getAvailableFonts();
-  };
+  /**
+   * Loads another TDF binary font bundle next to the bundles already loaded, e.g. an optional font pack,
+   * or a bundle built in the browser from .TDF files the user dropped onto the page.
+   * The bundle's font keys are namespaced with its name (e.g., "packs/FONT.TDF_NAME"), so they never clash
+   * with fonts of other bundles. A loaded bundle of the same name is replaced.
+   * @param {ArrayBuffer | ArrayBufferView} bundleData - The bundle's bytes. They are used in place, not copied,
+   * so they must not be modified while loaded.
+   * @param {object} [options] - Loading options.
+   * @param {string} [options.name] - Name of the bundle. Must not contain "/". If omitted, a name like
+   * "bundle-1" is generated. The name "" adds the fonts without a namespace, like `loadBundle` does.
+   * @returns {string[]} The namespaced keys of the fonts added, sorted.
+   * @throws {Error} If the data is not a valid bundle, or the name contains "/".
+   */
+  addBundle(bundleData, options = {}) {
+    const bundleName = options.name ?? `bundle-${++this._addedBundleCount}`;
+    const { bundle, fontOffsets } = _parseBundle(bundleData, bundleName, "tdfRenderer.addBundle");
+
+    this._installBundle(bundle, fontOffsets);
+    return [...bundle.fontKeys].sort();
+  }
+
+  /**
+   * Unloads a single bundle, removing its fonts. Other bundles stay loaded.
+   * If it was the last bundle, the renderer is no longer initialized.
+   * @param {string} bundleName - Name of the bundle, as given to `loadBundle`, `addBundle` or `init`.
+   * @returns {boolean} True if the bundle was loaded and has been unloaded, false if no bundle has this name.
+   */
+  unloadBundle(bundleName) {
+    const unloaded = this._removeBundle(bundleName);
+    if (!unloaded) {
+      console.warn(`tdfRenderer.unloadBundle: No bundle named "${bundleName}" is loaded.`);
+    }
+    return unloaded;
+  }
+
+  /**
+   * Lists the loaded bundles, in load order.
+   * @returns {Array<{name: string, version: number, fontCount: number}>} Name, bundle format version and
+   * number of fonts of each loaded bundle.
+   */
+  getLoadedBundles() {
+    return Array.from(this._bundles.values(), (bundle) => ({
+      name: bundle.name,
+      version: bundle.version,
+      fontCount: bundle.fontKeys.length,
+    }));
+  }
 
   /**
    * Checks if the renderer has been successfully initialized.
    * @returns {boolean} True if initialized, false otherwise.
    */
-  tdfRenderer.isInitialized = () => _isInitialized;
+  isInitialized() {
+    return this._isInitialized;
+  }
 
   /**
-   * Returns a sorted array of unique font keys available in the loaded bundle.
-   * @returns {string[]} A sorted array of available font keys, or an empty array if not initialized.
+   * Returns a sorted array of unique font keys available in the loaded bundles.
+   * @param {object} [options] - Listing options.
+   * @param {boolean} [options.includeTypes=false] - If true, returns `{key, type, bundle}` objects instead of
+   * plain keys, where `type` is "color", "block" or "outline" (or "unknown" if the font's details cannot be
+   * parsed) and `bundle` is the name of the bundle holding the font.
+   * @param {string} [options.bundle] - If given, only lists the fonts of the bundle with this name.
+   * @returns {Array<string> | Array<{key: string, type: string, bundle: string}>} Available fonts sorted by key,
+   * or an empty array if not initialized.
    */
-  tdfRenderer.getAvailableFonts = () => {
-    if (!_isInitialized) {
+  getAvailableFonts(options = {}) {
+    if (!this._isInitialized) {
       return [];
     }
-    return Array.from(_fontIndex.keys()).sort(); // Ensure consistent order for UI.
-  };
+    let fontKeys;
+    if (typeof options.bundle === "string") {
+      const bundle = this._bundles.get(options.bundle);
+      fontKeys = bundle ? [...bundle.fontKeys] : [];
+    } else {
+      fontKeys = Array.from(this._fontIndex.keys());
+    }
+    fontKeys.sort(); // Ensure consistent order for UI.
+    if (!options.includeTypes) {
+      return fontKeys;
+    }
+    return fontKeys.map((key) => {
+      const fontHandle = this._fontIndex.get(key);
+      const fontDetails = _getOrParseFontDetails(fontHandle);
+      return {
+        key,
+        type: (fontDetails && FontTypeNames[fontDetails.type]) || "unknown",
+        bundle: fontHandle.bundle.name,
+      };
+    });
+  }
+
+  /**
+   * Lists the colors a Color font uses, e.g. to offer them for remapping with the `colorMap` render option.
+   * Only visible colors are listed: the foreground of blank characters (spaces) and the background of
+   * full blocks are left out. Block and Outline fonts have no colors of their own and list none.
+   * @param {string} uniqueFontKey - The unique key of the TDF font.
+   * @returns {{foregrounds: number[], backgrounds: number[]} | null} Sorted foreground color indices (0-15) and
+   * background color indices (0-15, where 8-15 are attributes with bit 7 set), or null if the font key is not found
+   * or the font's details cannot be parsed.
+   */
+  getFontColors(uniqueFontKey) {
+    if (!this._isInitialized) {
+      console.error("tdfRenderer.getFontColors: Not initialized. Call init() first.");
+      return null;
+    }
+    const fontHandle = this._fontIndex.get(uniqueFontKey);
+    if (typeof fontHandle === "undefined") {
+      console.error(`tdfRenderer.getFontColors: Font key "${uniqueFontKey}" not found.`);
+      return null;
+    }
+    const fontDetails = _getOrParseFontDetails(fontHandle);
+    if (!fontDetails) {
+      console.error(`tdfRenderer.getFontColors: Could not parse details for font "${uniqueFontKey}".`);
+      return null;
+    }
+
+    const foregrounds = new Set();
+    const backgrounds = new Set();
+    if (fontDetails.type === TDF_COLOR_FONT_TYPE) {
+      for (const { char, attr } of fontDetails.pairPalette) {
+        if (char !== 0x00 && char !== 0x20 && char !== 0xff) foregrounds.add(attr & 0x0f);
+        if (char !== 0xdb) backgrounds.add(attr >> 4);
+      }
+    }
+    const byIndex = (a, b) => a - b;
+    return { foregrounds: [...foregrounds].sort(byIndex), backgrounds: [...backgrounds].sort(byIndex) };
+  }
+
+  /**
+   * Resolves a cell font option: the name of a cell font known to this renderer, or a `CellFont` object.
+   * @private
+   * @param {string | CellFont | undefined} cellFont - The option value; undefined selects the default VGA font.
+   * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+   * @returns {CellFont} The cell font.
+   * @throws {Error} If no cell font has the name, or the object is not a valid cell font.
+   */
+  _resolveCellFont(cellFont, apiName) {
+    if (typeof cellFont === "undefined") {
+      return this._cellFonts.get(DefaultCellFontName);
+    }
+    if (typeof cellFont === "string") {
+      const registered = this._cellFonts.get(cellFont);
+      if (!registered) {
+        const names = Array.from(this._cellFonts.keys()).join(", ");
+        throw new Error(`${apiName}: Unknown cell font "${cellFont}". Expected one of: ${names}.`);
+      }
+      return registered;
+    }
+    return _validateCellFont(cellFont, apiName);
+  }
+
+  /**
+   * Registers a bitmap font for character cells under a name, e.g. an 8x8 font from a home computer or a font
+   * converted from a ROM dump, so that renders can select it with the `cellFont` option.
+   * Registering a name again replaces that cell font, including the built-in ones.
+   * @param {string} name - Name of the cell font.
+   * @param {CellFont} cellFont - The cell font: its width (1-16) and height (1-32) in pixels, and 256 glyph bitmaps.
+   * @throws {Error} If the name is empty or the cell font is invalid.
+   */
+  registerCellFont(name, cellFont) {
+    if (typeof name !== "string" || name === "") {
+      throw new Error("tdfRenderer.registerCellFont: The name must be a non-empty string.");
+    }
+    const { width, height, glyphs } = _validateCellFont(cellFont, "tdfRenderer.registerCellFont");
+    this._cellFonts.set(name, Object.freeze({ width, height, glyphs }));
+  }
+
+  /**
+   * Lists the cell fonts this renderer knows: the built-in "vga" (8x16), "vga9" (9x16), "ega" (8x14), "cga"
+   * (8x8) and Topaz-style "topaz" (8x8) fonts, and those added with `registerCellFont`.
+   * @returns {Array<{name: string, width: number, height: number}>} Name and cell size in pixels of each cell font,
+   * in registration order.
+   */
+  getCellFonts() {
+    return Array.from(this._cellFonts, ([name, cellFont]) => ({
+      name,
+      width: cellFont.width,
+      height: cellFont.height,
+    }));
+  }
 
   /**
    * Calculates overall layout dimensions (width and height in pixels) for the given text
@@ -863,46 +2731,89 @@
    * specified in character cell units. Used if a space has no defined width in the font.
    * @param {number} [additionalLineSpacingPx=DefaultAdditionalLineSpacingPx] - Additional pixels of
    * vertical spacing to add between lines of text.
-   * @returns {{width: number, height: number} | null} An object with `width` and `height` in pixels,
-   * or null if the font key is not found or another error occurs during layout calculation.
+   * @param {string | CellFont} [cellFont="vga"] - The cell font the text will be drawn with, which sets the
+   * pixel size of a character cell; see the `cellFont` render option.
+   * @param {object} [layoutOptions] - Further render options that change the layout.
+   * @param {string} [layoutOptions.kerning="none"] - Glyph spacing, see the `kerning` render option.
+   * @param {number | {adjust: number}} [layoutOptions.letterSpacing] - Spacing override, see the `letterSpacing`
+   * render option.
+   * @param {number | {cols: number}} [layoutOptions.maxWidth] - Wraps the text to this width, see the `maxWidth`
+   * render option.
+   * @returns {{width: number, height: number, lines: string[]} | null} An object with `width` and `height` in
+   * pixels and the lines of text as they are drawn (after wrapping), or null if the font key or cell font is not
+   * found or another error occurs during layout calculation.
    */
-  tdfRenderer.calculateLayout = (
+  calculateLayout(
     uniqueFontKey,
     text,
     minSpaceWidthChars = DefaultMinSpaceWidth,
     additionalLineSpacingPx = DefaultAdditionalLineSpacingPx,
-  ) => {
-    if (!_isInitialized) {
+    cellFont = DefaultCellFontName,
+    layoutOptions = {},
+  ) {
+    if (!this._isInitialized) {
       console.error("tdfRenderer.calculateLayout: Not initialized. Call init() first.");
       return null;
     }
+    let cellSize;
+    let kerning;
+    try {
+      cellSize = this._resolveCellFont(cellFont, "tdfRenderer.calculateLayout");
+      kerning = _resolveKerning(layoutOptions.kerning, "tdfRenderer.calculateLayout");
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
     if (!text) {
       // For empty or null text, return minimal dimensions (e.g., for a single empty line).
-      return { width: CharWidth, height: CharHeight };
+      return { width: cellSize.width, height: cellSize.height, lines: [""] };
     }
 
-    const fontDataOffsetInPool = _fontIndex.get(uniqueFontKey);
-    if (typeof fontDataOffsetInPool === "undefined") {
+    const fontHandle = this._fontIndex.get(uniqueFontKey);
+    if (typeof fontHandle === "undefined") {
       console.error(`tdfRenderer.calculateLayout: Font key "${uniqueFontKey}" not found.`);
       return null;
     }
 
     // Retrieve font-specific details, including character spacing, required for accurate layout.
-    const fontDetails = _getOrParseFontDetails(fontDataOffsetInPool);
+    const fontDetails = _getOrParseFontDetails(fontHandle);
     if (!fontDetails) {
       console.error(`tdfRenderer.calculateLayout: Could not parse details for font "${uniqueFontKey}".`);
       return null;
     }
-    const fontSpacingChars = fontDetails.spacing;
+    let fontSpacingChars;
+    let maxWidthChars;
+    try {
+      fontSpacingChars = _resolveLetterSpacing(
+        fontDetails.spacing,
+        kerning,
+        layoutOptions.letterSpacing,
+        "tdfRenderer.calculateLayout",
+      );
+      maxWidthChars = _resolveMaxWidth(layoutOptions.maxWidth, cellSize, "tdfRenderer.calculateLayout");
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
 
-    const lines = text.split("\n");
+    const lines =
+      maxWidthChars === null
+        ? text.split("\n")
+        : _wrapText(text, maxWidthChars, fontHandle, fontSpacingChars, minSpaceWidthChars, kerning);
     let overallMaxWidthPx = 0; // Tracks the maximum width encountered across all lines.
     let totalHeightPx = 0; // Accumulates the total height of all lines plus spacing.
     const numLines = lines.length;
 
     for (let i = 0; i < numLines; i++) {
       const line = lines[i];
-      const lineLayout = _calculateSingleLineLayout(fontDataOffsetInPool, fontSpacingChars, line, minSpaceWidthChars);
+      const lineLayout = _calculateSingleLineLayout(
+        fontHandle,
+        fontSpacingChars,
+        line,
+        minSpaceWidthChars,
+        cellSize,
+        kerning,
+      );
       overallMaxWidthPx = Math.max(overallMaxWidthPx, lineLayout.width);
       totalHeightPx += lineLayout.height;
       if (i < numLines - 1) {
@@ -913,10 +2824,11 @@
 
     // Ensure the calculated layout has at least minimal dimensions.
     return {
-      width: Math.max(overallMaxWidthPx, CharWidth), // Min width of one character cell if there was content.
-      height: Math.max(totalHeightPx, CharHeight), // Min height of one character cell.
+      width: Math.max(overallMaxWidthPx, cellSize.width), // Min width of one character cell if there was content.
+      height: Math.max(totalHeightPx, cellSize.height), // Min height of one character cell.
+      lines,
     };
-  };
+  }
 
   /**
    * Filters the list of available TDF fonts to only those that support all
@@ -927,13 +2839,13 @@
    * Returns all available fonts if the text is empty or contains no characters within the TDF renderable range.
    * Returns an empty array if the renderer is not initialized.
    */
-  tdfRenderer.filterFontsByText = (text) => {
-    if (!_isInitialized) {
+  filterFontsByText(text) {
+    if (!this._isInitialized) {
       console.warn("tdfRenderer.filterFontsByText: Not initialized.");
       return [];
     }
     if (!text) {
-      return tdfRenderer.getAvailableFonts(); // All fonts are compatible with empty text.
+      return this.getAvailableFonts(); // All fonts are compatible with empty text.
     }
 
     // Extract unique, TDF-renderable characters from the input text.
@@ -946,99 +2858,117 @@
 
     if (requiredChars.length === 0) {
       // If text contains only spaces, newlines, or non-TDF characters, all fonts are considered compatible.
-      return tdfRenderer.getAvailableFonts();
+      return this.getAvailableFonts();
     }
 
     // Filter fonts by checking if each required character has defined layout metrics (i.e., is defined in the font).
-    return Array.from(_fontIndex.entries())
-      .filter(([/*uniqueFontKey*/ , fontDataOffsetInPool]) =>
-        requiredChars.every((char) => _getGlyphLayoutMetricsOnly(fontDataOffsetInPool, char.charCodeAt(0)) !== null),
+    return Array.from(this._fontIndex.entries())
+      .filter(([/*uniqueFontKey*/ , fontHandle]) =>
+        requiredChars.every((char) => _getGlyphLayoutMetricsOnly(fontHandle, char.charCodeAt(0)) !== null),
       )
       .map(([key]) => key) // Extract only the font keys from the filtered entries.
       .sort(); // Return the list of compatible font keys, sorted alphabetically.
-  };
+  }
 
   /**
-   * Prepares a canvas for rendering. If a canvas is provided in options, it's used;
-   * otherwise, a new canvas is created (in browser environments).
-   * The canvas is sized appropriately and cleared with the background color.
-   * @private
-   * @param {object} options - Rendering options, potentially including `options.canvas` and `options.targetWidth`.
-   * @param {{width: number, height: number}} layout - Calculated layout dimensions for the text.
-   * @param {Array<number>} bgColorRgba - Background RGBA color array [r,g,b,a].
-   * @returns {{canvas: HTMLCanvasElement, context: CanvasRenderingContext2D}} An object containing the prepared canvas and its 2D context.
-   * @throws {Error} If a canvas cannot be obtained or its context cannot be retrieved.
+   * Finds the fonts in which the text fits a screen of character cells, e.g. an 80 column BBS screen, and ranks
+   * them by how well they fill it. Only fonts that support every character in the text (see `filterFontsByText`)
+   * are considered. Sizes are measured as `renderToCells` lays the text out.
+   * @param {string} text - The text to fit. Can include '\n' for multiple lines.
+   * @param {object} options - Fitting options.
+   * @param {number} options.maxCols - Maximum width in character cells.
+   * @param {number} [options.maxRows] - Maximum height in character cells. Unlimited if not given.
+   * @param {boolean} [options.wrap=false] - If true, the text is word wrapped to `maxCols` (see the `maxWidth`
+   * render option), so that fonts too wide for the text on one line can still fit.
+   * @param {number} [options.minSpaceWidth] - Minimum width of a space character, see `render`.
+   * @param {number} [options.lineSpacing=0] - Number of empty rows between lines of text.
+   * @param {string} [options.kerning="none"] - Glyph spacing, see the `kerning` render option.
+   * @param {number | {adjust: number}} [options.letterSpacing] - Spacing override, see the `letterSpacing`
+   * render option.
+   * @returns {Array<{key: string, cols: number, rows: number, lines: string[], fill: number}>} The fitting fonts,
+   * best fill first: their key, the size of the text in cells, the lines of text as laid out (after wrapping) and
+   * the fraction (0-1) of the available width, or of the available area if `maxRows` is given, that the text
+   * covers. Fonts that fill equally well are ordered tallest first, then by key. Returns an empty array if the
+   * renderer is not initialized.
+   * @throws {Error} If `maxCols` or `maxRows` is not a positive integer, or another option is invalid.
    */
-  function _prepareCanvasAndContext(options, layout, bgColorRgba) {
-    let targetCanvas = options.canvas;
-    const canCreateCanvas = typeof document !== "undefined" && typeof document.createElement === "function";
-
-    if (!targetCanvas) {
-      if (!canCreateCanvas) {
-        throw new Error(
-          "tdfRenderer: options.canvas is required in a non-browser environment or if document.createElement is unavailable.",
-        );
-      }
-      targetCanvas = document.createElement("canvas");
+  fitFonts(text, options = {}) {
+    if (!this._isInitialized) {
+      console.warn("tdfRenderer.fitFonts: Not initialized.");
+      return [];
     }
-
-    // Set canvas dimensions. Ensure it's large enough for the text and any specified target width.
-    // Also ensure it's at least one character cell in size.
-    targetCanvas.width = Math.max(options.targetWidth || 0, layout.width, CharWidth);
-    targetCanvas.height = Math.max(layout.height, CharHeight);
-
-    const context = targetCanvas.getContext("2d");
-    if (!context) {
-      throw new Error("tdfRenderer: Failed to get 2D rendering context from the canvas.");
+    const { maxCols, maxRows, wrap = false, minSpaceWidth = DefaultMinSpaceWidth, lineSpacing = 0 } = options;
+    if (!Number.isInteger(maxCols) || maxCols < 1) {
+      throw new Error("tdfRenderer.fitFonts: Expected 'maxCols' to be a positive integer.");
     }
-
-    // Clear the canvas with the specified background color.
-    context.fillStyle = `rgba(${bgColorRgba.join(",")})`;
-    context.fillRect(0, 0, targetCanvas.width, targetCanvas.height);
-
-    return { canvas: targetCanvas, context: context };
+    if (typeof maxRows !== "undefined" && (!Number.isInteger(maxRows) || maxRows < 1)) {
+      throw new Error("tdfRenderer.fitFonts: Expected 'maxRows' to be a positive integer.");
+    }
+    if (!Number.isInteger(lineSpacing) || lineSpacing < 0) {
+      throw new Error("tdfRenderer.fitFonts: Expected 'lineSpacing' to be a non-negative integer.");
+    }
+    // Validate once here, so that invalid options throw instead of calculateLayout failing for every font.
+    const kerning = _resolveKerning(options.kerning, "tdfRenderer.fitFonts");
+    _resolveLetterSpacing(0, kerning, options.letterSpacing, "tdfRenderer.fitFonts");
+
+    // Measure on the default cell font and convert back to cells.
+    const cellSize = this._resolveCellFont(DefaultCellFontName, "tdfRenderer.fitFonts");
+    const layoutOptions = {
+      kerning,
+      letterSpacing: options.letterSpacing,
+      maxWidth: wrap ? { cols: maxCols } : undefined,
+    };
+    const availableCells = maxCols * (maxRows ?? 1);
+
+    const fits = [];
+    for (const key of this.filterFontsByText(text)) {
+      const layout = this.calculateLayout(
+        key,
+        text,
+        minSpaceWidth,
+        lineSpacing * cellSize.height,
+        DefaultCellFontName,
+        layoutOptions,
+      );
+      if (!layout) continue;
+      const cols = Math.ceil(layout.width / cellSize.width);
+      const rows = Math.ceil(layout.height / cellSize.height);
+      if (cols > maxCols || (typeof maxRows !== "undefined" && rows > maxRows)) continue;
+      const usedCells = typeof maxRows === "undefined" ? cols : cols * rows;
+      fits.push({ key, cols, rows, lines: layout.lines, fill: usedCells / availableCells });
+    }
+    return fits.sort((a, b) => b.fill - a.fill || b.rows - a.rows || (a.key < b.key ? -1 : 1));
   }
 
   /**
-   * Renders text using a specified TDF font onto a canvas.
-   * If no canvas is provided in options, a new canvas element is created (in browser environments).
-   *
-   * @param {object} options - Rendering configuration options.
-   * @param {string} options.uniqueFontKey - The unique key of the TDF font to use.
-   * @param {string} options.text - The text string to render (can include '\n' for multiple lines).
-   * @param {HTMLCanvasElement} [options.canvas] - An optional HTMLCanvasElement to render onto.
-   * If not provided, a new one is created.
-   * @param {number} [options.targetWidth] - An optional minimum width for the target/created canvas.
-   * The canvas will be at least this wide, or wide enough for the text.
-   * @param {string} [options.textAlign='left'] - Text alignment within the calculated text block width.
-   * Supported values: 'left', 'center', 'right'.
-   * @param {Array<number>} [options.bgColor=[0,0,0,255]] - Background RGBA color [r,g,b,a]. Defaults to opaque black.
-   * @param {number} [options.minSpaceWidth=DefaultMinSpaceWidth] - Minimum width for a space character, in character cell units.
-   * @param {number} [options.additionalLineSpacingPx=DefaultAdditionalLineSpacingPx] - Additional pixels between lines.
-   * @returns {Promise<{canvas: HTMLCanvasElement}>} A promise that resolves with an object containing the canvas element
-   * (either the one passed in or the newly created one).
-   * @throws {Error} If initialization has not been performed, or if rendering fails for other reasons.
+   * Validates rendering options and resolves them, with defaults, into the parameters used by the layout code.
+   * Shared by all rendering entry points so that every output format lays text out identically.
+   * @private
+   * @param {object} options - Rendering options as accepted by `render`.
+   * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+   * @returns {object} The resolved parameters: { uniqueFontKey, text, fontHandle, fontSpacingChars,
+   * minSpaceWidthChars, additionalLineSpacingPx, textAlign, glyphStyle, cellFont, kerning }.
+   * @throws {Error} If the renderer is not initialized, required options are missing, or the font is unusable.
    */
-  tdfRenderer.render = async (options) => {
-    if (!_isInitialized) {
-      throw new Error("tdfRenderer.render: Not initialized. Call init() first.");
+  _resolveRenderOptions(options, apiName) {
+    if (!this._isInitialized) {
+      throw new Error(`${apiName}: Not initialized. Call init() first.`);
     }
     if (!options || !options.uniqueFontKey || typeof options.text === "undefined") {
-      throw new Error("tdfRenderer.render: Missing 'uniqueFontKey' or 'text' in options.");
+      throw new Error(`${apiName}: Missing 'uniqueFontKey' or 'text' in options.`);
     }
 
     const { uniqueFontKey, text } = options;
-    const fontDataOffsetInPool = _fontIndex.get(uniqueFontKey);
-    if (typeof fontDataOffsetInPool === "undefined") {
-      throw new Error(`tdfRenderer.render: Font key "${uniqueFontKey}" not found.`);
+    const fontHandle = this._fontIndex.get(uniqueFontKey);
+    if (typeof fontHandle === "undefined") {
+      throw new Error(`${apiName}: Font key "${uniqueFontKey}" not found.`);
     }
 
     // Fetch font-specific details, including character spacing.
-    const fontDetails = _getOrParseFontDetails(fontDataOffsetInPool);
+    const fontDetails = _getOrParseFontDetails(fontHandle);
     if (!fontDetails) {
-      throw new Error(`tdfRenderer.render: Could not parse details for font "${uniqueFontKey}".`);
+      throw new Error(`${apiName}: Could not parse details for font "${uniqueFontKey}".`);
     }
-    const fontSpacingChars = fontDetails.spacing;
 
     // Consolidate option defaults for rendering parameters.
     const minSpaceWidthChars =
@@ -1050,18 +2980,150 @@
         ? options.additionalLineSpacingPx
         : DefaultAdditionalLineSpacingPx;
     const textAlign = ["left", "center", "right"].includes(options.textAlign) ? options.textAlign : "left";
+    const glyphStyle = {
+      outlineStyle:
+        Number.isInteger(options.outlineStyle) &&
+        options.outlineStyle >= 0 &&
+        options.outlineStyle < OutlineCharSets.length
+          ? options.outlineStyle
+          : DefaultOutlineStyle,
+      attribute:
+        Number.isInteger(options.attribute) && options.attribute >= 0 && options.attribute <= 0xff
+          ? options.attribute
+          : DefaultMonochromeAttribute,
+      attributeMap: _buildAttributeMap(options.colorMap, apiName),
+      gradient: _resolveGradient(options.gradient, apiName),
+    };
+    const kerning = _resolveKerning(options.kerning, apiName);
+    const fontSpacingChars = _resolveLetterSpacing(fontDetails.spacing, kerning, options.letterSpacing, apiName);
+    const cellFont = this._resolveCellFont(options.cellFont, apiName);
+    const maxWidthChars = _resolveMaxWidth(options.maxWidth, cellFont, apiName);
+
+    return {
+      uniqueFontKey,
+      // Wrapped text has its line breaks inserted here, so every output format wraps identically.
+      text:
+        maxWidthChars === null || !text
+          ? text
+          : _wrapText(text, maxWidthChars, fontHandle, fontSpacingChars, minSpaceWidthChars, kerning).join("\n"),
+      fontHandle,
+      fontSpacingChars,
+      minSpaceWidthChars,
+      additionalLineSpacingPx,
+      textAlign,
+      glyphStyle,
+      cellFont,
+      kerning,
+    };
+  }
+
+  /**
+   * Renders text using a specified TDF font onto a canvas.
+   * If no canvas is provided in options, a new canvas element is created (in browser environments).
+   *
+   * @param {object} options - Rendering configuration options.
+   * @param {string} options.uniqueFontKey - The unique key of the TDF font to use.
+   * @param {string} options.text - The text string to render (can include '\n' for multiple lines).
+   * @param {HTMLCanvasElement} [options.canvas] - An optional HTMLCanvasElement to render onto.
+   * If not provided, a new one is created.
+   * @param {number} [options.targetWidth] - An optional minimum width for the target/created canvas.
+   * The canvas will be at least this wide, or wide enough for the text.
+   * @param {string} [options.textAlign='left'] - Text alignment within the calculated text block width.
+   * Supported values: 'left', 'center', 'right'.
+   * @param {Array<number>} [options.bgColor=[0,0,0,255]] - Background RGBA color [r,g,b,a]. Defaults to opaque black.
+   * @param {number} [options.minSpaceWidth=DefaultMinSpaceWidth] - Minimum width for a space character, in character cell units.
+   * @param {number} [options.additionalLineSpacingPx=DefaultAdditionalLineSpacingPx] - Additional pixels between lines.
+   * @param {string} [options.kerning="none"] - Glyph spacing: "none" places glyphs at their full width plus the
+   * font's spacing; "fitted" drops the font's spacing; "smush" also slides each glyph left, like figlet, until it
+   * touches the glyphs before it, overlapping columns where one of the glyphs has only padding cells.
+   * @param {number | {adjust: number}} [options.letterSpacing] - Overrides the spacing between glyphs, in character
+   * cells: a number replaces the font's spacing (or the no spacing of "fitted" and "smush" kerning), and
+   * `{adjust: n}` adds n cells to it. Negative spacing overlaps glyphs, and later glyphs are drawn over earlier ones.
+   * A glyph never starts left of the glyph before it: spacing below minus a glyph's width is clamped, so the next
+   * glyph starts on the same column and covers it, rather than moving further left.
+   * @param {number | {cols: number}} [options.maxWidth] - Wraps the text to lines no wider than this: a width in
+   * pixels (of the chosen `cellFont`), or `{cols: n}` for n character cells, e.g. `{cols: 80}` for a BBS screen.
+   * Lines break between words; words that are too long on their own break between characters.
+   * @param {number} [options.outlineStyle=DefaultOutlineStyle] - TheDraw outline style (0-18) used for Outline fonts.
+   * @param {number} [options.attribute=DefaultMonochromeAttribute] - Color attribute byte for Block and Outline fonts,
+   * with the background color in the high nibble and the foreground color in the low nibble.
+   * Color fonts ignore this and use their own attributes.
+   * @param {object} [options.colorMap] - Recolors the rendering, e.g. to match a brand's colors. Any font's colors can
+   * be remapped; `getFontColors` lists the colors a Color font uses.
+   * @param {object | Array<number>} [options.colorMap.foreground] - Maps foreground color indices (0-15) to the
+   * indices to draw instead, e.g. `{4: 1, 12: 9}` turns red and light red into blue and light blue.
+   * Indices left out keep their color.
+   * @param {object | Array<number>} [options.colorMap.background] - Maps background color indices (0-15, where 8-15
+   * are attributes with bit 7 set) the same way.
+   * @param {string | {mode: string, colors?: number[]}} [options.gradient] - Recolors foregrounds by position, on top
+   * of the glyphs' own attributes: "horizontal" blends across the glyphs of each line, "vertical" down the rows of
+   * each line, and "rainbow" steps through the colors one glyph at a time. Pass an object to choose the colors
+   * (color indices 0-15); the default is a red-yellow-white blend, or a six-color rainbow. Blends are quantized to
+   * the 16 colors, so every output format can show them. Applied before `colorMap`.
+   * @param {string | Array<Array<number>>} [options.palette="vga"] - Colors for the 16 DOS color indices: the name of
+   * a palette in `TdfPalettes` ("vga", "cga", "amiga", "c64", "grayscale"), or 16 [r, g, b, a] colors.
+   * `options.bgColor` is not affected.
+   * @param {string | CellFont} [options.cellFont="vga"] - The bitmap font for character cells: the name of a built-in
+   * or registered cell font (see `getCellFonts` and `registerCellFont`), or a `CellFont` object. Character cells,
+   * and so the canvas, take the cell font's size, e.g. 9x16 pixels for "vga9" or 8x8 for "cga".
+   * @param {boolean | number} [options.aspectRatio=false] - Corrects the aspect ratio for an authentic DOS look by
+   * stretching the output vertically: true stretches by `DosPixelAspectRatio` (1.35, VGA text mode on a 4:3
+   * display), a number by that factor. The canvas is then taller than the layout from `calculateLayout`.
+   * @param {boolean} [options.aspectSmoothing=false] - If true, the stretched output is interpolated; otherwise
+   * pixel rows are repeated (nearest neighbor), which keeps pixels sharp but makes some rows taller than others.
+   * @param {boolean} [options.iceColors=false] - If true, attribute bit 7 selects the bright background colors
+   * (8-15), as in iCE color mode. Otherwise bit 7 is ignored, or makes the character blink if `options.blink` is set.
+   * @param {boolean} [options.blink=false] - If true and iCE colors are off, characters with attribute bit 7 blink
+   * like in DOS text mode, by redrawing them on the canvas until `stopBlinking` is called or the canvas is
+   * rendered onto again.
+   * @param {function(HTMLCanvasElement, boolean): void} [options.onBlink] - Called after the blinking characters
+   * are hidden or shown, with the canvas and whether they are shown, e.g. to update a scaled copy of the canvas.
+   * @returns {Promise<{canvas: HTMLCanvasElement, stopBlinking: function(): void}>} A promise that resolves with
+   * an object containing the canvas element (either the one passed in or the newly created one), and a function
+   * that stops blinking (which does nothing if no characters blink).
+   * @throws {Error} If initialization has not been performed, or if rendering fails for other reasons.
+   */
+  async render(options) {
+    const {
+      uniqueFontKey,
+      text,
+      fontHandle,
+      fontSpacingChars,
+      minSpaceWidthChars,
+      additionalLineSpacingPx,
+      textAlign,
+      glyphStyle,
+      cellFont,
+      kerning,
+    } = this._resolveRenderOptions(options, "tdfRenderer.render");
     const bgColorRgba =
       Array.isArray(options.bgColor) && options.bgColor.length === 4 ? options.bgColor : [0, 0, 0, 255]; // Default: opaque black.
+    const iceColors = options.iceColors === true;
+    const colorStyle = {
+      iceColors,
+      palette: _resolvePalette(options.palette, "tdfRenderer.render"),
+      blinkCells: options.blink === true && !iceColors ? [] : null,
+    };
+    const aspectRatio = _resolveAspectRatio(options.aspectRatio, "tdfRenderer.render");
+    const aspectSmoothing = options.aspectSmoothing === true;
+    _stopBlinking(options.canvas); // The canvas' previous content must not be redrawn over the new one.
 
     try {
       // Calculate the overall layout dimensions for the text.
-      const layout = tdfRenderer.calculateLayout(uniqueFontKey, text, minSpaceWidthChars, additionalLineSpacingPx);
+      const layout = this.calculateLayout(uniqueFontKey, text, minSpaceWidthChars, additionalLineSpacingPx, cellFont, {
+        kerning,
+        letterSpacing: options.letterSpacing,
+      });
       if (!layout) {
         throw new Error("tdfRenderer.render: Failed to calculate text layout.");
       }
 
       const overallTextMaxWidthPx = layout.width; // Max width of any line in the text.
-      const { canvas: targetCanvas, context } = _prepareCanvasAndContext(options, layout, bgColorRgba);
+      // With aspect ratio correction, the text is drawn with square pixels on a work canvas, which is then
+      // stretched onto the output canvas.
+      const drawingOptions =
+        aspectRatio === 1 ? options : { targetWidth: options.targetWidth, canvas: _createCanvas() };
+      const { canvas: targetCanvas, context } = _prepareCanvasAndContext(drawingOptions, layout, bgColorRgba, cellFont);
 
       // Calculate starting X for the entire text block to center it on the canvas if the canvas is wider.
       const blockStartX = Math.max(0, Math.floor((targetCanvas.width - overallTextMaxWidthPx) / 2));
@@ -1080,9 +3142,13 @@
           blockStartX, // Start X of the entire text block.
           overallTextMaxWidthPx, // Width of the text block for alignment calculations.
           textAlign,
-          fontDataOffsetInPool,
+          fontHandle,
           fontSpacingChars,
           minSpaceWidthChars,
+          glyphStyle,
+          colorStyle,
+          cellFont,
+          kerning,
         );
         currentY += lineHeightPx; // Advance Y position by the height of the rendered line.
         if (i < numLines - 1) {
@@ -1091,15 +3157,377 @@
         }
       }
 
-      return { canvas: targetCanvas };
+      if (aspectRatio === 1) {
+        const stopBlinking = _startBlinking(context, targetCanvas, colorStyle.blinkCells, cellFont, options.onBlink);
+        return { canvas: targetCanvas, stopBlinking };
+      }
+
+      const outputCanvas = options.canvas || _createCanvas();
+      _stretchCanvas(targetCanvas, outputCanvas, aspectRatio, aspectSmoothing);
+      // Blinking redraws the work canvas, so every phase is stretched onto the output canvas again.
+      const onBlink = (canvas, shown) => {
+        _stretchCanvas(targetCanvas, canvas, aspectRatio, aspectSmoothing);
+        if (typeof options.onBlink === "function") options.onBlink(canvas, shown);
+      };
+      const stopBlinking = _startBlinking(context, outputCanvas, colorStyle.blinkCells, cellFont, onBlink);
+      return { canvas: outputCanvas, stopBlinking };
     } catch (error) {
       // Catch errors from layout calculation, canvas preparation, or the rendering loop.
       console.error(`tdfRenderer: Error during rendering for font "${uniqueFontKey}":`, error.message, error.stack);
       throw error; // Re-throw to allow the caller to handle it.
     }
-  };
+  }
+
+  /**
+   * Renders text onto a grid of character cells, without a canvas. This works without a DOM (e.g., in Node.js
+   * or a Web Worker) and is the basis for non-canvas output formats. Text is laid out like `render` does,
+   * on whole character cells.
+   *
+   * @param {object} options - Rendering configuration options. Accepts the layout and glyph styling
+   * options of `render` (`uniqueFontKey`, `text`, `textAlign`, `minSpaceWidth`, `kerning`, `outlineStyle`, `attribute`,
+   * `colorMap`, `gradient`).
+   * Canvas-specific options are ignored.
+   * @param {number} [options.lineSpacing] - Number of empty rows to insert between lines of text.
+   * Defaults to `options.additionalLineSpacingPx` rounded up to whole rows (0 if neither is given).
+   * @param {{char: number, attr: number}} [options.emptyCell={char: 0x20, attr: 0x00}] - Cell used where no
+   * glyph is drawn, e.g. to the right of shorter lines or in the rows between lines.
+   * @returns {{width: number, height: number, cells: Array<Array<{char: number, attr: number}>>}} Grid dimensions
+   * in cells and its rows, indexed as `cells[row][col]`. `char` is a CP437 character code and `attr` a color
+   * attribute byte (background in the high nibble, foreground in the low nibble). Every cell is a separate object.
+   * @throws {Error} If initialization has not been performed, or if required options are missing or invalid.
+   */
+  renderToCells(options) {
+    const resolved = this._resolveRenderOptions(options, "tdfRenderer.renderToCells");
+    const grid = _layoutTextOnCellGrid(resolved, _resolveLineSpacingRows(options, resolved));
+    const emptyCell =
+      options.emptyCell && Number.isInteger(options.emptyCell.char) && Number.isInteger(options.emptyCell.attr)
+        ? options.emptyCell
+        : { char: 0x20, attr: 0x00 };
+
+    return {
+      width: grid.width,
+      height: grid.height,
+      cells: grid.cells.map((row) =>
+        row.map((cell) => (cell ? cell : { char: emptyCell.char & 0xff, attr: emptyCell.attr & 0xff })),
+      ),
+    };
+  }
+
+  /**
+   * Renders text as Unicode text colored with ANSI SGR escape sequences, for printing to a terminal.
+   * Text is laid out like `render` does, on whole character cells; CP437 characters are translated to
+   * their Unicode equivalents.
+   *
+   * @param {object} options - Rendering configuration options. Accepts the layout and glyph styling
+   * options of `render` (`uniqueFontKey`, `text`, `textAlign`, `minSpaceWidth`, `kerning`, `outlineStyle`, `attribute`,
+   * `colorMap`, `gradient`).
+   * Canvas-specific options are ignored.
+   * @param {number} [options.lineSpacing] - Number of empty rows to insert between lines of text.
+   * Defaults to `options.additionalLineSpacingPx` rounded up to whole rows (0 if neither is given).
+   * @returns {string} The rendered text, with lines separated by '\n' and colors reset at the end of each line.
+   * @throws {Error} If initialization has not been performed, or if required options are missing or invalid.
+   */
+  renderToAnsi(options) {
+    const resolved = this._resolveRenderOptions(options, "tdfRenderer.renderToAnsi");
+    return _cellGridToAnsi(_layoutTextOnCellGrid(resolved, _resolveLineSpacingRows(options, resolved)));
+  }
+
+  /**
+   * Renders text as plain Unicode text, for pasting where neither images nor CP437 bytes work (README files,
+   * chat messages). CP437 characters such as box drawing characters, blocks and shades are translated to their
+   * Unicode equivalents. Colors are dropped by default, or kept as ANSI SGR escape sequences.
+   *
+   * @param {object} options - Rendering configuration options. Accepts the layout and glyph styling
+   * options of `render` (`uniqueFontKey`, `text`, `textAlign`, `minSpaceWidth`, `kerning`, `outlineStyle`, `attribute`,
+   * `colorMap`, `gradient`), and `lineSpacing` like `renderToAnsi`.
+   * @param {string} [options.colorMode="none"] - "none" for plain text, "ansi16" for the 16 ANSI colors (like
+   * `renderToAnsi`), "ansi256" for the xterm 256-color palette, or "truecolor" for 24-bit colors.
+   * @param {string | Array<Array<number>>} [options.palette="vga"] - Colors for "ansi256" and "truecolor", see
+   * `render`.
+   * @param {boolean} [options.iceColors=false] - For "ansi256" and "truecolor": if true, attribute bit 7 selects
+   * the bright background colors (8-15); otherwise it is ignored.
+   * @returns {string} The rendered text, with lines separated by '\n'. Trailing cells that no glyph covers are
+   * trimmed from each line; with colors, they are reset at the end of each line.
+   * @throws {Error} If initialization has not been performed, or if required options are missing or invalid.
+   */
+  renderToText(options) {
+    const resolved = this._resolveRenderOptions(options, "tdfRenderer.renderToText");
+    const colorStyle = {
+      iceColors: options.iceColors === true,
+      palette: _resolvePalette(options.palette, "tdfRenderer.renderToText"),
+    };
+    const attributeToSgr = _textColorEncoder(options.colorMode, colorStyle, "tdfRenderer.renderToText");
+    return _cellGridToAnsi(_layoutTextOnCellGrid(resolved, _resolveLineSpacingRows(options, resolved)), attributeToSgr);
+  }
+
+  /**
+   * Renders text as an HTML `<pre>` block of colored spans holding Unicode characters, to embed headings in web
+   * pages as selectable text rather than as a canvas. Text is laid out like `renderToCells` does. The block has
+   * `role="img"` and the plain text as its `aria-label`, so that screen readers announce the text instead of
+   * the block characters it is drawn with.
+   *
+   * @param {object} options - Rendering configuration options. Accepts the layout and glyph styling
+   * options of `render` (`uniqueFontKey`, `text`, `textAlign`, `minSpaceWidth`, `kerning`, `outlineStyle`, `attribute`,
+   * `colorMap`, `gradient`), and `lineSpacing` like `renderToAnsi`.
+   * @param {string | Array<Array<number>>} [options.palette="vga"] - Colors for the 16 color indices, see `render`.
+   * @param {boolean} [options.iceColors=false] - If true, attribute bit 7 selects the bright background colors
+   * (8-15); otherwise it is ignored.
+   * @param {string} [options.cssMode="inline"] - "inline" for `style` attributes on every span, which needs no CSS
+   * elsewhere; "classes" for class names such as `tdf-fg12 tdf-bg0`, defined by a `<style>` element.
+   * @param {boolean} [options.includeStylesheet=true] - In "classes" mode, puts the `<style>` element in front of
+   * the `<pre>` block. Set it to false when the page already defines the classes, e.g. for the second and later
+   * blocks on a page with the same palette and prefix.
+   * @param {string} [options.classPrefix="tdf-"] - Prefix of the class names in "classes" mode.
+   * @param {boolean} [options.mergeRuns=true] - If true, adjacent cells of the same colors share one span;
+   * otherwise every cell gets its own span.
+   * @returns {string} The HTML: the `<pre>` element, preceded by a `<style>` element in "classes" mode.
+   * @throws {Error} If initialization has not been performed, or if required options are missing or invalid.
+   */
+  renderToHtml(options) {
+    const resolved = this._resolveRenderOptions(options, "tdfRenderer.renderToHtml");
+    const cssMode = typeof options.cssMode === "undefined" ? "inline" : options.cssMode;
+    if (!HtmlCssModes.includes(cssMode)) {
+      throw new Error(`tdfRenderer.renderToHtml: Unknown cssMode "${cssMode}". Expected "inline" or "classes".`);
+    }
+    const classPrefix = typeof options.classPrefix === "string" ? options.classPrefix : DefaultHtmlClassPrefix;
+    if (!/^[A-Za-z_-][\w-]*$/.test(classPrefix)) {
+      throw new Error(
+        `tdfRenderer.renderToHtml: 'classPrefix' must be usable in a CSS class name, got "${classPrefix}".`,
+      );
+    }
+    const palette = _resolvePalette(options.palette, "tdfRenderer.renderToHtml");
+
+    const html = _cellGridToHtml(_layoutTextOnCellGrid(resolved, _resolveLineSpacingRows(options, resolved)), {
+      colorStyle: { iceColors: options.iceColors === true, palette },
+      cssMode,
+      classPrefix,
+      mergeRuns: options.mergeRuns !== false,
+      label: resolved.text.replace(/\s+/g, " ").trim(),
+    });
+    if (cssMode === "classes" && options.includeStylesheet !== false) {
+      return `${_htmlStylesheet(palette, classPrefix)}${html}`;
+    }
+    return html;
+  }
+
+  /**
+   * Renders text as an SVG image, for resolution-independent output such as print and large banners. Text is laid
+   * out like `renderToCells` does; each cell is drawn with the cell font like `render` draws it on a canvas, with
+   * backgrounds as rectangles and the characters' pixels as paths.
+   *
+   * @param {object} options - Rendering configuration options. Accepts the layout and glyph styling
+   * options of `render` (`uniqueFontKey`, `text`, `textAlign`, `minSpaceWidth`, `kerning`, `outlineStyle`, `attribute`,
+   * `colorMap`, `gradient`), and `lineSpacing` like `renderToAnsi`.
+   * @param {Array<number>} [options.bgColor=[0,0,0,255]] - Color of the areas that no glyph covers, as [r, g, b, a].
+   * Pass a transparent color (alpha 0) to leave them out.
+   * @param {string | Array<Array<number>>} [options.palette="vga"] - Colors for the 16 color indices, see `render`.
+   * @param {boolean} [options.iceColors=false] - If true, attribute bit 7 selects the bright background colors
+   * (8-15); otherwise it is ignored.
+   * @param {string | CellFont} [options.cellFont="vga"] - The bitmap font for character cells, see `render`.
+   * @param {boolean | number} [options.aspectRatio=false] - Stretches the image vertically, see `render`.
+   * @returns {string} The SVG document, sized in pixels like a canvas rendering: each cell is as large as a cell of
+   * the cell font.
+   * @throws {Error} If initialization has not been performed, or if required options are missing or invalid.
+   */
+  renderToSvg(options) {
+    const resolved = this._resolveRenderOptions(options, "tdfRenderer.renderToSvg");
+    const grid = _layoutTextOnCellGrid(resolved, _resolveLineSpacingRows(options, resolved));
+    return _cellGridToSvg(grid, {
+      colorStyle: {
+        iceColors: options.iceColors === true,
+        palette: _resolvePalette(options.palette, "tdfRenderer.renderToSvg"),
+      },
+      cellFont: resolved.cellFont,
+      bgColor: Array.isArray(options.bgColor) && options.bgColor.length === 4 ? options.bgColor : [0, 0, 0, 255],
+      aspectRatio: _resolveAspectRatio(options.aspectRatio, "tdfRenderer.renderToSvg"),
+      label: resolved.text.replace(/\s+/g, " ").trim(),
+    });
+  }
+
+  /**
+   * Renders text into RGBA pixels without a canvas, so that images can be produced in Node.js (e.g. in CI jobs
+   * or static site generators) or Web Workers. Text is laid out like `renderToCells` does, and cells are drawn
+   * with the cell font like `render` draws them.
+   *
+   * @param {object} options - Rendering configuration options. Accepts the layout and glyph styling
+   * options of `render` (`uniqueFontKey`, `text`, `textAlign`, `minSpaceWidth`, `kerning`, `outlineStyle`, `attribute`,
+   * `colorMap`, `gradient`), and `lineSpacing` like `renderToAnsi`.
+   * @param {Array<number>} [options.bgColor=[0,0,0,255]] - Color of the areas that no glyph covers, as [r, g, b, a].
+   * @param {string | Array<Array<number>>} [options.palette="vga"] - Colors for the 16 color indices, see `render`.
+   * @param {boolean} [options.iceColors=false] - If true, attribute bit 7 selects the bright background colors
+   * (8-15); otherwise it is ignored.
+   * @param {string | CellFont} [options.cellFont="vga"] - The bitmap font for character cells, see `render`.
+   * @param {number} [options.scale=1] - Integer upscaling factor: each font pixel becomes `scale` x `scale` pixels.
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}} The image as RGBA pixels, row by row,
+   * shaped like an ImageData (in browsers, `new ImageData(data, width, height)` turns it into one).
+   * @throws {Error} If initialization has not been performed, or if required options are missing or invalid.
+   */
+  renderToImageData(options) {
+    return this._renderToRgba(options, "tdfRenderer.renderToImageData");
+  }
+
+  /**
+   * Renders text as a PNG image without a canvas, e.g. to write banner images with Node.js.
+   * Accepts the options of `renderToImageData`.
+   * @param {object} options - Rendering configuration options, see `renderToImageData`.
+   * @returns {Uint8Array} The PNG file's bytes.
+   * @throws {Error} If initialization has not been performed, or if required options are missing or invalid.
+   */
+  renderToPng(options) {
+    const { width, height, data } = this._renderToRgba(options, "tdfRenderer.renderToPng");
+    return encodePng(width, height, data);
+  }
+
+  /**
+   * Shared implementation of `renderToImageData` and `renderToPng`.
+   * @private
+   * @param {object} options - Rendering options, see `renderToImageData`.
+   * @param {string} apiName - Name of the calling API function, used as the prefix of error messages.
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}} The image.
+   * @throws {Error} If the options are invalid.
+   */
+  _renderToRgba(options, apiName) {
+    const resolved = this._resolveRenderOptions(options, apiName);
+    const scale = typeof options.scale === "undefined" ? 1 : options.scale;
+    if (!Number.isInteger(scale) || scale < 1) {
+      throw new Error(`${apiName}: 'scale' must be a positive integer, got ${options.scale}.`);
+    }
+    const grid = _layoutTextOnCellGrid(resolved, _resolveLineSpacingRows(options, resolved));
+    return _cellGridToRgba(grid, {
+      colorStyle: { iceColors: options.iceColors === true, palette: _resolvePalette(options.palette, apiName) },
+      cellFont: resolved.cellFont,
+      bgColor: Array.isArray(options.bgColor) && options.bgColor.length === 4 ? options.bgColor : [0, 0, 0, 255],
+      scale,
+    });
+  }
+
+  /**
+   * Renders text as an animated GIF or APNG image without a canvas, e.g. for BBS intro screens or social media
+   * posts. Frames are drawn like `renderToImageData` draws the text.
+   *
+   * Effects:
+   * - "typewriter": the text is typed out glyph by glyph, line by line; the complete text is then shown for
+   *   `holdDelayMs`.
+   * - "blink": characters with attribute bit 7 blink, as on a DOS text screen. `iceColors` is ignored, since bit 7
+   *   means blinking here. Text without blinking cells gives a single frame.
+   * - "paletteCycle": the palette entries of `cycleColors` rotate, one step per frame.
+   *
+   * @param {object} options - Rendering configuration options. Accepts the options of `renderToImageData`
+   * (`uniqueFontKey`, `text`, layout and glyph styling, `bgColor`, `palette`, `iceColors`, `cellFont`, `scale`).
+   * @param {string} [options.format="gif"] - "gif" or "apng". GIF shows pixels with partial alpha opaque.
+   * @param {string} [options.effect="typewriter"] - "typewriter", "blink" or "paletteCycle".
+   * @param {number} [options.frameDelayMs] - How long each frame is shown, in milliseconds. Defaults to 100 for
+   * "typewriter", 500 (the canvas blink rate) for "blink" and 150 for "paletteCycle".
+   * @param {number} [options.holdDelayMs=2000] - How long the last "typewriter" frame is shown, in milliseconds.
+   * @param {number[]} [options.cycleColors] - Color indices (0-15) to rotate for "paletteCycle", at least two.
+   * Defaults to the bright colors of the rainbow gradient.
+   * @param {boolean} [options.loop=true] - If true, the animation repeats forever; otherwise it plays once.
+   * @returns {Uint8Array} The GIF or APNG file's bytes.
+   * @throws {Error} If initialization has not been performed, or if required options are missing or invalid.
+   */
+  renderToAnimation(options) {
+    const apiName = "tdfRenderer.renderToAnimation";
+    const resolved = this._resolveRenderOptions(options, apiName);
+    const format = options.format ?? "gif";
+    if (!AnimationFormats.includes(format)) {
+      throw new Error(`${apiName}: Unknown format "${format}". Expected one of: ${AnimationFormats.join(", ")}.`);
+    }
+    const effect = options.effect ?? "typewriter";
+    if (!AnimationEffects.includes(effect)) {
+      throw new Error(`${apiName}: Unknown effect "${effect}". Expected one of: ${AnimationEffects.join(", ")}.`);
+    }
+    const frameDelayMs = options.frameDelayMs ?? DefaultAnimationFrameDelaysMs[effect];
+    const holdDelayMs = options.holdDelayMs ?? DefaultAnimationHoldDelayMs;
+    for (const [name, value] of [
+      ["frameDelayMs", frameDelayMs],
+      ["holdDelayMs", holdDelayMs],
+    ]) {
+      if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+        throw new Error(`${apiName}: '${name}' must be a non-negative number of milliseconds, got ${value}.`);
+      }
+    }
+    const cycleColors = options.cycleColors ?? DefaultRainbowColors;
+    if (
+      !Array.isArray(cycleColors) ||
+      cycleColors.length < 2 ||
+      !cycleColors.every((c) => Number.isInteger(c) && c >= 0 && c <= 15)
+    ) {
+      throw new Error(`${apiName}: Expected 'cycleColors' to be an array of at least two color indices 0-15.`);
+    }
+    const scale = typeof options.scale === "undefined" ? 1 : options.scale;
+    if (!Number.isInteger(scale) || scale < 1) {
+      throw new Error(`${apiName}: 'scale' must be a positive integer, got ${options.scale}.`);
+    }
+
+    const grid = _layoutTextOnCellGrid(resolved, _resolveLineSpacingRows(options, resolved), true);
+    const frames = _buildAnimationFrames(grid, {
+      effect,
+      colorStyle: {
+        iceColors: effect !== "blink" && options.iceColors === true,
+        palette: _resolvePalette(options.palette, apiName),
+      },
+      cycleColors,
+    });
+    const bgColor = Array.isArray(options.bgColor) && options.bgColor.length === 4 ? options.bgColor : [0, 0, 0, 255];
+    const images = frames.map((frame) =>
+      _cellGridToRgba(frame.grid, { colorStyle: frame.colorStyle, cellFont: resolved.cellFont, bgColor, scale }),
+    );
+    const imageFrames = images.map((image, index) => {
+      const isHeldFrame = effect === "typewriter" && index === images.length - 1;
+      return { pixels: image.data, delayMs: isHeldFrame ? holdDelayMs : frameDelayMs };
+    });
+
+    const encode = format === "apng" ? encodeApng : encodeGif;
+    return encode(images[0].width, images[0].height, imageFrames, { loop: options.loop !== false });
+  }
+
+  /**
+   * Renders text as an ANSI art file (.ANS) for ANSI editors and viewers such as PabloDraw or Moebius:
+   * raw CP437 characters with ANSI escape sequences for colors, followed by a SAUCE metadata record.
+   * Text is laid out like `renderToAnsi` does.
+   *
+   * @param {object} options - Rendering configuration options. Accepts the options of `renderToAnsi`.
+   * @param {boolean} [options.iceColors] - Sets the SAUCE iCE colors flag, telling viewers that attribute bit 7
+   * selects a bright background instead of blinking. Defaults to true if any rendered cell has bit 7 set.
+   * @param {object} [options.sauce] - SAUCE metadata. Text that does not fit a field is truncated.
+   * @param {string} [options.sauce.title=""] - Title of the art, up to 35 characters.
+   * @param {string} [options.sauce.author=""] - Author's name or handle, up to 20 characters.
+   * @param {string} [options.sauce.group=""] - Group or company name, up to 20 characters.
+   * @param {Date} [options.sauce.date=new Date()] - Creation date.
+   * @returns {Uint8Array} The file contents.
+   * @throws {Error} If initialization has not been performed, or if required options are missing or invalid.
+   */
+  renderToAnsiFile(options) {
+    const resolved = this._resolveRenderOptions(options, "tdfRenderer.renderToAnsiFile");
+    const grid = _layoutTextOnCellGrid(resolved, _resolveLineSpacingRows(options, resolved));
+    const artBytes = _cellGridToAnsiArtBytes(grid);
+
+    const iceColors =
+      typeof options.iceColors === "boolean"
+        ? options.iceColors
+        : grid.cells.some((row) => row.some((cell) => cell !== null && (cell.attr & 0x80) !== 0));
+    const sauce = options.sauce || {};
+    const sauceRecord = _buildSauceRecord({
+      title: sauce.title || "",
+      author: sauce.author || "",
+      group: sauce.group || "",
+      date: sauce.date instanceof Date ? sauce.date : new Date(),
+      fileSize: artBytes.length,
+      width: grid.width,
+      height: grid.height,
+      iceColors,
+    });
+
+    const fileBytes = new Uint8Array(artBytes.length + 1 + SauceRecordSize);
+    fileBytes.set(artBytes, 0);
+    fileBytes[artBytes.length] = SauceEofByte;
+    fileBytes.set(sauceRecord, artBytes.length + 1);
+    return fileBytes;
+  }
+}
 
-  // --- Expose Public API ---
-  // Attaches the tdfRenderer object to the global object (e.g., window in browsers, or global in Node.js).
-  global.tdfRenderer = tdfRenderer;
-})(typeof globalThis !== "undefined" ? globalThis : this);
+// --- Default Instance ---
+// Scripts that do not import the module use this instance through the global object
+// (e.g., window.tdfRenderer in browsers).
+export const tdfRenderer = new TdfRenderer();
+globalThis.tdfRenderer = tdfRenderer;
@@ -0,0 +1,230 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import zlib from "node:zlib";
+import { encodeApng, encodeGif, encodePng } from "../imageEncoder.js";
+
+/**
+ * Makes RGBA test pixels: runs of a few colors, which compress with back-references, mixed with noise from a fixed
+ * seed, so that both the DEFLATE matcher and the LZW dictionary (including its resets) are exercised.
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @param {number} colorCount - Number of distinct opaque colors to pick from.
+ * @param {number} seed - Seed of the noise.
+ * @returns {Uint8Array} `width * height` RGBA pixels.
+ */
+function makePixels(width, height, colorCount, seed) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    return state;
+  };
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const color = (i >> 4) % 3 === 0 ? random() % colorCount : (i >> 6) % colorCount;
+    pixels.set([color * 37, color * 91, color * 13, 255], i * 4);
+  }
+  return pixels;
+}
+
+/**
+ * Splits a PNG file into its chunks.
+ * @param {Uint8Array} png - The PNG file's bytes.
+ * @returns {Array<{type: string, data: Buffer}>} The chunks, in file order.
+ */
+function readPngChunks(png) {
+  const bytes = Buffer.from(png);
+  assert.deepEqual([...bytes.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const chunks = [];
+  for (let offset = 8; offset < bytes.length; ) {
+    const length = bytes.readUInt32BE(offset);
+    const type = bytes.toString("latin1", offset + 4, offset + 8);
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+/**
+ * Inflates and unfilters PNG image data (8-bit RGBA, filter types None, Sub and Up, which the encoder uses).
+ * @param {Buffer} compressed - The zlib stream of the IDAT chunks, or of one frame's fdAT chunks.
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @returns {Uint8Array} The RGBA pixels.
+ */
+function decodePngImageData(compressed, width, height) {
+  const filtered = zlib.inflateSync(compressed);
+  const stride = width * 4;
+  assert.equal(filtered.length, height * (stride + 1));
+  const pixels = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = filtered[y * (stride + 1)];
+    assert.ok(filter <= 2, `unexpected filter type ${filter}`);
+    for (let i = 0; i < stride; i++) {
+      const left = i >= 4 ? pixels[y * stride + i - 4] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + i] : 0;
+      const predictor = filter === 1 ? left : filter === 2 ? up : 0;
+      pixels[y * stride + i] = (filtered[y * (stride + 1) + 1 + i] + predictor) & 0xff;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Decodes the frames of a GIF file into color table indices.
+ * @param {Uint8Array} gif - The GIF file's bytes.
+ * @returns {{width: number, height: number, colorTable: Uint8Array, frames: Array<{delay: number, indices: number[]}>}}
+ * The screen size, the global color table, and each frame's delay (in hundredths of a second) and pixel indices.
+ */
+function decodeGif(gif) {
+  assert.equal(Buffer.from(gif.subarray(0, 6)).toString("latin1"), "GIF89a");
+  const width = gif[6] | (gif[7] << 8);
+  const height = gif[8] | (gif[9] << 8);
+  const tableSize = gif[10] & 0x80 ? 3 * (2 << (gif[10] & 7)) : 0;
+  const colorTable = gif.subarray(13, 13 + tableSize);
+  const frames = [];
+  let delay = 0;
+  let offset = 13 + tableSize;
+  const readSubBlocks = () => {
+    const data = [];
+    while (gif[offset] !== 0) {
+      data.push(...gif.subarray(offset + 1, offset + 1 + gif[offset]));
+      offset += gif[offset] + 1;
+    }
+    offset++;
+    return data;
+  };
+  while (gif[offset] !== 0x3b) {
+    const introducer = gif[offset++];
+    if (introducer === 0x21) {
+      const label = gif[offset++];
+      const data = readSubBlocks();
+      if (label === 0xf9) delay = data[1] | (data[2] << 8);
+      continue;
+    }
+    assert.equal(introducer, 0x2c, "expected an image descriptor");
+    assert.equal(gif[offset + 8] & 0x80, 0, "frames use the global color table");
+    offset += 9;
+    const minCodeSize = gif[offset++];
+    frames.push({ delay, indices: decodeLzw(readSubBlocks(), minCodeSize) });
+  }
+  return { width, height, colorTable, frames };
+}
+
+/**
+ * Decodes GIF LZW data.
+ * @param {number[]} data - The concatenated sub-block bytes.
+ * @param {number} minCodeSize - The LZW minimum code size.
+ * @returns {number[]} The decoded color table indices.
+ */
+function decodeLzw(data, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let dictionary;
+  let codeSize;
+  let previous;
+  let bitOffset = 0;
+  const reset = () => {
+    dictionary = Array.from({ length: endCode + 1 }, (_, code) => [code]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+  for (;;) {
+    let code = 0;
+    for (let bit = 0; bit < codeSize; bit++, bitOffset++) {
+      code |= ((data[bitOffset >> 3] >> (bitOffset & 7)) & 1) << bit;
+    }
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+    let entry = dictionary[code];
+    if (!entry) {
+      assert.ok(previous && code === dictionary.length, `invalid LZW code ${code}`);
+      entry = [...previous, previous[0]];
+    }
+    output.push(...entry);
+    if (previous && dictionary.length < 4096) {
+      dictionary.push([...previous, entry[0]]);
+      if (dictionary.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    previous = entry;
+  }
+  return output;
+}
+
+describe("encodePng", () => {
+  it("round-trips pixels through zlib and the scanline filters", () => {
+    const width = 93;
+    const height = 71;
+    const pixels = makePixels(width, height, 5, 1);
+    const chunks = readPngChunks(encodePng(width, height, pixels));
+    assert.deepEqual(
+      chunks.map((chunk) => chunk.type),
+      ["IHDR", "IDAT", "IEND"],
+    );
+    assert.equal(chunks[0].data.readUInt32BE(0), width);
+    assert.equal(chunks[0].data.readUInt32BE(4), height);
+    const idat = Buffer.concat(chunks.filter((chunk) => chunk.type === "IDAT").map((chunk) => chunk.data));
+    assert.deepEqual(decodePngImageData(idat, width, height), pixels);
+  });
+
+  it("rejects pixel data that does not match the size", () => {
+    assert.throws(() => encodePng(2, 2, new Uint8Array(12)), /^Error: encodePng:/);
+  });
+});
+
+describe("encodeApng", () => {
+  it("stores every frame's pixels, the first also as the default image", () => {
+    const width = 20;
+    const height = 10;
+    const frames = [1, 2, 3].map((seed) => ({ pixels: makePixels(width, height, 4, seed), delayMs: 100 }));
+    const chunks = readPngChunks(encodeApng(width, height, frames));
+    assert.equal(chunks.find((chunk) => chunk.type === "acTL").data.readUInt32BE(0), frames.length);
+
+    // Group the image data by frame: IDAT for the first frame, fdAT (after a sequence number) for the others.
+    const frameData = [];
+    for (const chunk of chunks) {
+      if (chunk.type === "fcTL") frameData.push([]);
+      if (chunk.type === "IDAT") frameData.at(-1).push(chunk.data);
+      if (chunk.type === "fdAT") frameData.at(-1).push(chunk.data.subarray(4));
+    }
+    assert.equal(frameData.length, frames.length);
+    frameData.forEach((data, index) => {
+      assert.deepEqual(decodePngImageData(Buffer.concat(data), width, height), frames[index].pixels);
+    });
+  });
+});
+
+describe("encodeGif", () => {
+  it("round-trips frames through the color table and LZW, across dictionary resets", () => {
+    const width = 160;
+    const height = 120; // Enough noise to fill the 4096-entry LZW dictionary more than once.
+    const frames = [
+      { pixels: makePixels(width, height, 200, 7), delayMs: 120 },
+      { pixels: makePixels(width, height, 200, 8), delayMs: 50 },
+    ];
+    const gif = decodeGif(encodeGif(width, height, frames));
+    assert.equal(gif.width, width);
+    assert.equal(gif.height, height);
+    assert.deepEqual(
+      gif.frames.map((frame) => frame.delay),
+      [12, 5],
+    );
+    gif.frames.forEach((frame, index) => {
+      const pixels = new Uint8Array(width * height * 4);
+      frame.indices.forEach((colorIndex, i) => {
+        pixels.set([...gif.colorTable.subarray(colorIndex * 3, colorIndex * 3 + 3), 255], i * 4);
+      });
+      assert.deepEqual(pixels, frames[index].pixels);
+    });
+  });
+
+  it("rejects frames with more than 256 colors", () => {
+    const pixels = new Uint8Array(300 * 4);
+    for (let i = 0; i < 300; i++) pixels.set([i & 0xff, i >> 8, 0, 255], i * 4);
+    assert.throws(() => encodeGif(300, 1, [{ pixels, delayMs: 100 }]), /^Error: encodeGif:/);
+  });
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import "../cp437font.js";
+import { assembleBundle, processTdfFile } from "../tdfParser.js";
+import { TdfRenderer } from "../tdfRenderer.js";
+
+const TDF_CHARS = "!\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~";
+
+/**
+ * Builds a .TDF file with one Block font whose glyphs are all two cells wide and one row high, with no spacing.
+ * @param {string} chars - The characters the font defines.
+ * @returns {Buffer} The .TDF file's bytes.
+ */
+function makeBlockFontFile(chars) {
+  const header = Buffer.alloc(213);
+  header.set([0x55, 0xaa, 0x00, 0xff]);
+  header[4] = "WRAP".length;
+  header.write("WRAP", 5, "latin1");
+  header[21] = 1; // Block font.
+  header[22] = 1; // Spacing 0 (stored one-based).
+  for (let i = 0; i < TDF_CHARS.length; i++) header.writeUInt16LE(0xffff, 25 + i * 2);
+  const glyphData = [];
+  for (const char of chars) {
+    header.writeUInt16LE(glyphData.length, 25 + TDF_CHARS.indexOf(char) * 2);
+    glyphData.push(2, 1, 0xdb, 0xdb, 0x00); // Width, height, one row of two full blocks, end of glyph.
+  }
+  header.writeUInt16LE(glyphData.length, 23);
+  return Buffer.concat([Buffer.from("\x13TheDraw FONTS file\x1a", "latin1"), header, Buffer.from(glyphData)]);
+}
+
+const renderer = new TdfRenderer(assembleBundle(processTdfFile(makeBlockFontFile("AB"), "WRAP.TDF")));
+const [fontKey] = renderer.getAvailableFonts();
+
+/**
+ * Returns the lines `calculateLayout` lays the text out in, with spaces one cell wide.
+ * @param {string} text - The text.
+ * @param {number | {cols: number}} maxWidth - The `maxWidth` layout option.
+ * @returns {string[]} The wrapped lines.
+ */
+function wrap(text, maxWidth) {
+  return renderer.calculateLayout(fontKey, text, 1, 0, "vga", { maxWidth }).lines;
+}
+
+describe("word wrapping", () => {
+  it("keeps text that fits on one line", () => {
+    assert.deepEqual(wrap("AB AB", { cols: 9 }), ["AB AB"]);
+  });
+
+  it("breaks lines at spaces", () => {
+    assert.deepEqual(wrap("AB AB", { cols: 8 }), ["AB", "AB"]);
+    assert.deepEqual(wrap("A B AB BA", { cols: 9 }), ["A B", "AB BA"]);
+  });
+
+  it("breaks words wider than the line between characters", () => {
+    assert.deepEqual(wrap("ABABAB", { cols: 8 }), ["ABAB", "AB"]);
+    assert.deepEqual(wrap("AB", { cols: 1 }), ["A", "B"]);
+  });
+
+  it("drops the spaces at a break, but keeps leading spaces and empty lines of the text", () => {
+    assert.deepEqual(wrap("AB   AB", { cols: 4 }), ["AB", "AB"]);
+    assert.deepEqual(wrap("  AB\n\nAB", { cols: 12 }), ["  AB", "", "AB"]);
+  });
+
+  it("measures a pixel width in cells of the cell font", () => {
+    assert.deepEqual(wrap("AB AB", 64), ["AB", "AB"]); // 8 VGA cells.
+    assert.deepEqual(wrap("AB AB", 72), ["AB AB"]);
+  });
+
+  it("wraps the rendered output the same way", () => {
+    const text = renderer.renderToText({
+      uniqueFontKey: fontKey,
+      text: "AB AB",
+      minSpaceWidth: 1,
+      maxWidth: { cols: 8 },
+    });
+    assert.deepEqual(text.split("\n"), ["████", "████"]);
+  });
+});